@@ -14,22 +14,50 @@ const {
   ALLOWED_USERS,
 } = require("./modules/config");
 
-const { authMiddleware } = require("./modules/auth");
+const { authMiddleware, optionalAuthMiddleware } = require("./modules/auth");
 
-const { setupMiddleware, upload, errorHandler } = require("./modules/middleware");
+const { setupMiddleware, upload, uploadFolder, errorHandler } = require("./modules/middleware");
 const {
   healthHandler,
   statusHandler,
   uploadHandler,
+  streamUploadHandler,
+  rawUploadHandler,
+  precheckHandler,
   uploadZipHandler,
+  uploadFolderHandler,
+  uploadCarHandler,
+  carExportHandler,
   pinsHandler,
   remoteUploadHandler,
+  jobStatusHandler,
+  jobCancelHandler,
+  deleteHandler,
   pinAddHandler,
   pinListHandler,
+  pinStatusHandler,
   pinRemoveHandler,
+  pinExportHandler,
+  pinImportHandler,
 } = require("./modules/routes");
 
+const {
+  TUS_PATH,
+  tusOptionsHandler,
+  tusCreateHandler,
+  tusHeadHandler,
+  tusPatchHandler,
+  tusDeleteHandler,
+  sweepExpiredTusUploads,
+} = require("./modules/tus");
+
 const { refreshGateways } = require("./modules/gateways");
+const { listPinnedCids } = require("./modules/ipfs");
+const { reconcilePins } = require("./modules/database");
+const { resumePendingPins } = require("./modules/pinner");
+const { getRetainedCids, sweepExpiredUploads } = require("./modules/retention");
+const { trackUploadProgress, progressHandler } = require("./modules/progress");
+const { sweepExpiredDeletionTokens } = require("./modules/deletion");
 
 
 // Ensure temp directory exists
@@ -40,6 +68,9 @@ if (!fs.existsSync(UPLOAD_TEMP_DIR)) {
 // Initialize Express app
 const app = express();
 
+// tus discovery (OPTIONS) must be answered before the CORS middleware ends preflight requests
+app.options([TUS_PATH, `${TUS_PATH}/:id`], tusOptionsHandler);
+
 // Setup middleware
 setupMiddleware(app);
 
@@ -57,15 +88,36 @@ if (ALLOWED_USERS.length === 0) {
 app.get("/health", healthHandler);
 app.get("/status", statusHandler);
 app.get("/api/pins", pinsHandler);
-app.post("/upload", upload.single("file"), uploadHandler);
-app.post("/uploadzip", upload.single("file"), uploadZipHandler);
-app.post("/remoteupload", remoteUploadHandler);
+app.get("/progress/:id", progressHandler);
+app.get("/car/:cid", carExportHandler);
+
+// Uploads are anonymous unless a daku header is sent, which pins them for the uploader
+// ?progress=<id> ties an upload to GET /progress/:id
+app.post("/upload", optionalAuthMiddleware, trackUploadProgress, streamUploadHandler, upload.single("file"), uploadHandler);
+app.put("/upload/:filename", optionalAuthMiddleware, trackUploadProgress, rawUploadHandler);
+app.post("/uploadzip", optionalAuthMiddleware, trackUploadProgress, upload.single("file"), uploadZipHandler);
+app.post("/uploadfolder", optionalAuthMiddleware, trackUploadProgress, uploadFolder.array("file"), uploadFolderHandler);
+app.post("/uploadcar", optionalAuthMiddleware, upload.single("file"), uploadCarHandler);
+app.post("/remoteupload", optionalAuthMiddleware, remoteUploadHandler);
+app.get("/jobs/:id", jobStatusHandler);
+app.delete("/jobs/:id", jobCancelHandler);
+app.post("/precheck", optionalAuthMiddleware, upload.single("file"), precheckHandler);
+app.post("/delete", deleteHandler);
+
+// Resumable uploads (tus 1.0)
+app.post(TUS_PATH, tusCreateHandler);
+app.head(`${TUS_PATH}/:id`, tusHeadHandler);
+app.patch(`${TUS_PATH}/:id`, tusPatchHandler);
+app.delete(`${TUS_PATH}/:id`, tusDeleteHandler);
 
 // Authenticated Pin Routes (only when ALLOWED_USERS is configured)
 if (ALLOWED_USERS.length > 0) {
   app.post("/pin/add", authMiddleware, pinAddHandler);
   app.get("/pin/list", authMiddleware, pinListHandler);
+  app.get("/pin/status/:cid", authMiddleware, pinStatusHandler);
   app.post("/pin/remove", authMiddleware, pinRemoveHandler);
+  app.get("/pin/export", authMiddleware, pinExportHandler);
+  app.post("/pin/import", authMiddleware, pinImportHandler);
 } else {
   console.log("[PIN] Pin management routes disabled (ALLOWED_USERS not set)");
 }
@@ -89,6 +141,51 @@ const scheduleGatewayRefresh = () => {
 scheduleGatewayRefresh();
 setInterval(scheduleGatewayRefresh, 60 * 1000);
 
+// Reconcile the pin database with Kubo once at startup (retry until Kubo answers)
+const reconcileWithKubo = () => {
+  listPinnedCids()
+    .then((kuboCids) => {
+      reconcilePins(kuboCids, getRetainedCids());
+      resumePendingPins();
+    })
+    .catch((err) => {
+      console.warn(`[DB] Reconcile failed, retrying in 30s: ${err.message}`);
+      setTimeout(reconcileWithKubo, 30 * 1000);
+    });
+};
+
+reconcileWithKubo();
+
+// Unpin anonymous uploads whose retention window has ended, then drop deletion tokens that went with them
+const scheduleRetentionSweep = () => {
+  sweepExpiredUploads()
+    .then((expired) => {
+      if (expired) console.log(`[RETENTION] SWEEP_COMPLETE expired=${expired}`);
+      const expiredTokens = sweepExpiredDeletionTokens();
+      if (expiredTokens) console.log(`[DELETE] TOKEN_SWEEP_COMPLETE expired=${expiredTokens}`);
+    })
+    .catch((err) => {
+      console.warn(`[RETENTION] Sweep failed: ${err.message}`);
+    });
+};
+
+scheduleRetentionSweep();
+setInterval(scheduleRetentionSweep, 10 * 60 * 1000);
+
+// Delete abandoned resumable uploads
+const scheduleTusSweep = () => {
+  sweepExpiredTusUploads()
+    .then((expired) => {
+      if (expired) console.log(`[TUS] SWEEP_COMPLETE expired=${expired}`);
+    })
+    .catch((err) => {
+      console.warn(`[TUS] Sweep failed: ${err.message}`);
+    });
+};
+
+scheduleTusSweep();
+setInterval(scheduleTusSweep, 10 * 60 * 1000);
+
 // Graceful shutdown handler
 const gracefulShutdown = (signal) => {
   console.log(`[SHUTDOWN] SIGNAL_RECEIVED signal=${signal} action=graceful_shutdown`);
@@ -0,0 +1,117 @@
+// Validated Kubo add options for uploads (cid-version, raw-leaves, chunker, hash, trickle)
+// Clients pick them per request; ADD_* environment variables set the operator defaults
+const { ADD_DEFAULTS } = require("./config");
+
+const ADD_OPTION_KEYS = ["cid-version", "raw-leaves", "chunker", "hash", "trickle"];
+const HASH_FUNCTIONS = ["sha2-256", "sha2-512", "sha3-256", "sha3-512", "blake2b-256", "blake3"];
+
+// Kubo refuses blocks above 1 MiB, and tiny chunks only bloat the DAG
+const CHUNK_MIN = 256;
+const CHUNK_MAX = 1024 * 1024;
+const RABIN_MIN = 16;
+
+const parseBoolean = (key, value) => {
+  if (value === true || value === "true" || value === "1") return true;
+  if (value === false || value === "false" || value === "0") return false;
+  throw new Error(`${key} must be true or false`);
+};
+
+const parseChunker = (value) => {
+  const chunker = String(value).trim();
+
+  const size = chunker.match(/^size-(\d+)$/);
+  if (size) {
+    const bytes = Number(size[1]);
+    if (bytes < CHUNK_MIN || bytes > CHUNK_MAX) {
+      throw new Error(`chunker size must be between ${CHUNK_MIN} and ${CHUNK_MAX} bytes`);
+    }
+    return chunker;
+  }
+
+  // rabin-<avg> or rabin-<min>-<avg>-<max>
+  const rabin = chunker.match(/^rabin-(\d+)(?:-(\d+)-(\d+))?$/);
+  if (rabin) {
+    const [min, avg, max] = rabin[2] ? rabin.slice(1, 4).map(Number) : [null, Number(rabin[1]), null];
+    if (avg < RABIN_MIN || avg > CHUNK_MAX) {
+      throw new Error(`rabin average chunk size must be between ${RABIN_MIN} and ${CHUNK_MAX} bytes`);
+    }
+    if (min !== null && !(min >= RABIN_MIN && min < avg && avg < max && max <= CHUNK_MAX)) {
+      throw new Error(`rabin sizes must satisfy ${RABIN_MIN} <= min < avg < max <= ${CHUNK_MAX}`);
+    }
+    return chunker;
+  }
+
+  throw new Error('chunker must be "size-<bytes>" or "rabin-<avg>" / "rabin-<min>-<avg>-<max>"');
+};
+
+/**
+ * Validate add options taken from a request (query string, form fields or JSON body)
+ * Unknown keys are ignored, empty values count as unset
+ * @param {object} source - Object holding any of cid-version, raw-leaves, chunker, hash, trickle
+ * @returns {object} - Normalized options, only with the keys that were set (throws on invalid values)
+ */
+const parseAddOptions = (source = {}) => {
+  const options = {};
+
+  for (const key of ADD_OPTION_KEYS) {
+    const value = source[key];
+    if (value === undefined || value === null || value === "") continue;
+
+    if (key === "cid-version") {
+      if (String(value) !== "0" && String(value) !== "1") throw new Error("cid-version must be 0 or 1");
+      options[key] = Number(value);
+    } else if (key === "raw-leaves" || key === "trickle") {
+      options[key] = parseBoolean(key, value);
+    } else if (key === "chunker") {
+      options[key] = parseChunker(value);
+    } else if (key === "hash") {
+      if (!HASH_FUNCTIONS.includes(value)) throw new Error(`hash must be one of ${HASH_FUNCTIONS.join(", ")}`);
+      options[key] = value;
+    }
+  }
+
+  if (options["cid-version"] === 0 && options.hash && options.hash !== "sha2-256") {
+    throw new Error("cid-version 0 only supports the sha2-256 hash");
+  }
+
+  return options;
+};
+
+const DEFAULT_ADD_OPTIONS = (() => {
+  try {
+    return parseAddOptions(ADD_DEFAULTS);
+  } catch (err) {
+    throw new Error(`Invalid ADD_* default: ${err.message}`);
+  }
+})();
+
+/**
+ * Merge request options over the operator defaults
+ * A request that only picks another hash function gets CIDv1 instead of an invalid v0 default
+ * @param {object} source - Request options (see parseAddOptions)
+ * @returns {object} - Effective add options
+ */
+const resolveAddOptions = (source) => {
+  const requested = parseAddOptions(source);
+  const options = { ...DEFAULT_ADD_OPTIONS, ...requested };
+
+  if (options.hash && options.hash !== "sha2-256" && requested["cid-version"] === undefined) {
+    options["cid-version"] = 1;
+  }
+  if (options["cid-version"] === 0 && options.hash && options.hash !== "sha2-256") {
+    throw new Error("cid-version 0 only supports the sha2-256 hash");
+  }
+
+  return options;
+};
+
+// Render add options as Kubo query parameters ("&cid-version=1&raw-leaves=true")
+const toAddQuery = (options = {}) => Object.entries(options)
+  .map(([key, value]) => `&${key}=${encodeURIComponent(value)}`)
+  .join("");
+
+module.exports = {
+  DEFAULT_ADD_OPTIONS,
+  resolveAddOptions,
+  toAddQuery,
+};
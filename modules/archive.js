@@ -0,0 +1,345 @@
+// Archive extraction for folder uploads (zip, tar, tar.gz/tgz and plain gzip)
+// The format is detected from magic bytes, not from the file extension
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const unzipper = require("unzipper");
+const tar = require("tar-stream");
+const { formatBytes } = require("./config");
+
+const TAR_BLOCK_SIZE = 512;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// destroySource: false leaves an over-limit source paused instead of destroyed, so an incoming request
+// can still be answered with a 413 before its connection closes
+const streamToFileWithLimit = (readableStream, filePath, sizeLimit, { destroySource = true } = {}) => new Promise((resolve, reject) => {
+  if (!readableStream) {
+    reject(new Error("Response has no body"));
+    return;
+  }
+
+  const sink = fs.createWriteStream(filePath);
+  let downloadedSize = 0;
+
+  const onError = (err) => {
+    sink.destroy();
+    reject(err);
+  };
+
+  readableStream.on("data", (chunk) => {
+    downloadedSize += chunk.length;
+    if (downloadedSize > sizeLimit) {
+      const error = new Error(`File size exceeds limit of ${formatBytes(sizeLimit)}`);
+      error.code = "FILE_TOO_LARGE";
+      if (destroySource) {
+        readableStream.destroy(error);
+        return;
+      }
+      readableStream.unpipe(sink);
+      readableStream.pause();
+      onError(error);
+    }
+  });
+
+  readableStream.on("error", onError);
+  sink.on("error", onError);
+  sink.on("finish", () => resolve(downloadedSize));
+
+  readableStream.pipe(sink);
+});
+
+const isSafeZipPath = (baseDir, entryPath) => {
+  const safePath = path.resolve(baseDir, entryPath);
+  const relative = path.relative(baseDir, safePath);
+  return relative && !relative.startsWith("..") && !path.isAbsolute(relative);
+};
+
+// Errors about the archive itself are the client's fault (400), size overruns are 413
+const archiveError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// A tar header block carries "ustar" at offset 257, or (old v7 archives) a valid header checksum
+const isTarHeader = (block) => {
+  if (!block || block.length < TAR_BLOCK_SIZE) return false;
+  if (block.toString("latin1", 257, 262) === "ustar") return true;
+
+  const stored = parseInt(block.toString("latin1", 148, 156).replace(/\0.*$/, "").trim(), 8);
+  if (Number.isNaN(stored)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum === stored;
+};
+
+const readHead = async (filePath, length) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Decompress just enough of a gzip file to look at its first tar block
+const readGunzippedHead = (filePath, length) => new Promise((resolve) => {
+  const chunks = [];
+  let received = 0;
+  const source = fs.createReadStream(filePath);
+  const gunzip = zlib.createGunzip();
+
+  const finish = () => {
+    source.destroy();
+    gunzip.destroy();
+    resolve(Buffer.concat(chunks).subarray(0, length));
+  };
+
+  gunzip.on("data", (chunk) => {
+    chunks.push(chunk);
+    received += chunk.length;
+    if (received >= length) finish();
+  });
+  gunzip.on("end", finish);
+  gunzip.on("error", finish);
+  source.on("error", finish);
+
+  source.pipe(gunzip);
+});
+
+/**
+ * Detect the archive format of a file from its magic bytes
+ * @param {string} filePath - Path of the uploaded file
+ * @returns {Promise<"zip"|"tar"|"tar.gz"|"gzip"|null>} - null when the format is not supported
+ */
+const detectArchiveFormat = async (filePath) => {
+  const head = await readHead(filePath, TAR_BLOCK_SIZE);
+
+  if (head.length >= 4 && head[0] === 0x50 && head[1] === 0x4b && (head[2] === 0x03 || head[2] === 0x05) && (head[3] === 0x04 || head[3] === 0x06)) {
+    return "zip";
+  }
+  if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+    return isTarHeader(await readGunzippedHead(filePath, TAR_BLOCK_SIZE)) ? "tar.gz" : "gzip";
+  }
+  if (isTarHeader(head)) {
+    return "tar";
+  }
+
+  return null;
+};
+
+// Resolve an entry path inside the extraction root, rejecting traversal and absolute paths
+const resolveEntryPath = (extractDir, rawPath) => {
+  const entryPath = String(rawPath || "").replace(/\\/g, "/").replace(/^\/+/, "");
+  if (!entryPath || entryPath === "." || entryPath === "./") return null;
+
+  if (!isSafeZipPath(extractDir, entryPath)) {
+    throw archiveError(`Invalid archive entry path: ${entryPath}`);
+  }
+
+  return path.resolve(extractDir, entryPath);
+};
+
+const createSizeTracker = (sizeLimit) => {
+  let bytes = 0;
+  let files = 0;
+
+  return {
+    remaining: () => sizeLimit - bytes,
+    add: (written) => {
+      bytes += written;
+      files += 1;
+    },
+    result: () => ({ bytes, files }),
+  };
+};
+
+// Filesystem errors that mean two entries claim the same path, one as a file and one as a directory
+const ENTRY_CLASH_CODES = new Set(["EEXIST", "ENOTDIR", "EISDIR"]);
+
+const entryClashError = (extractDir, entryPath) => archiveError(
+  `Archive entry clashes with a file or directory of the same name: ${path.relative(extractDir, entryPath).split(path.sep).join("/")}`
+);
+
+const lstatOrNull = (entryPath) => fs.promises.lstat(entryPath).catch(() => null);
+
+// Refuse an entry below a path that is already a file, or a file where a directory already is (and the reverse)
+const checkEntryTarget = async (extractDir, targetPath, isDirectory) => {
+  const root = path.resolve(extractDir);
+  const parents = [];
+  for (let parent = path.dirname(targetPath); parent.length > root.length; parent = path.dirname(parent)) {
+    parents.unshift(parent);
+  }
+  for (const parent of parents) {
+    const stat = await lstatOrNull(parent);
+    if (!stat) break;
+    if (!stat.isDirectory()) throw entryClashError(extractDir, parent);
+  }
+
+  const existing = await lstatOrNull(targetPath);
+  if (existing && existing.isDirectory() !== isDirectory) {
+    throw entryClashError(extractDir, targetPath);
+  }
+};
+
+const createEntryDirectory = async (extractDir, dirPath) => {
+  await checkEntryTarget(extractDir, dirPath, true);
+  try {
+    await fs.promises.mkdir(dirPath, { recursive: true });
+  } catch (err) {
+    if (ENTRY_CLASH_CODES.has(err.code)) throw entryClashError(extractDir, dirPath);
+    throw err;
+  }
+};
+
+// openStream is only called once the target is known to be free, a zip entry starts reading the archive when opened
+const writeEntry = async (openStream, extractDir, targetPath, tracker, sizeLimit) => {
+  try {
+    await checkEntryTarget(extractDir, targetPath, false);
+    await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+    tracker.add(await streamToFileWithLimit(openStream(), targetPath, tracker.remaining()));
+  } catch (err) {
+    if (err.code === "FILE_TOO_LARGE") {
+      throw archiveError(`Extracted size exceeds limit of ${formatBytes(sizeLimit)}`, 413);
+    }
+    if (ENTRY_CLASH_CODES.has(err.code)) {
+      throw entryClashError(extractDir, targetPath);
+    }
+    throw err;
+  }
+};
+
+const extractZip = async (filePath, extractDir, sizeLimit) => {
+  const tracker = createSizeTracker(sizeLimit);
+
+  let directory;
+  try {
+    directory = await unzipper.Open.file(filePath);
+  } catch (err) {
+    throw archiveError(`Invalid zip archive: ${err.message}`);
+  }
+
+  for (const entry of directory.files) {
+    if (entry.type === "Directory") continue;
+
+    // Unix symlinks are stored with S_IFLNK in the upper half of the external attributes
+    if (((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK) {
+      throw archiveError(`Symbolic links are not allowed in archives: ${entry.path}`);
+    }
+
+    const targetPath = resolveEntryPath(extractDir, entry.path);
+    if (!targetPath) continue;
+
+    await writeEntry(() => entry.stream(), extractDir, targetPath, tracker, sizeLimit);
+  }
+
+  return tracker.result();
+};
+
+const extractTar = async (filePath, extractDir, sizeLimit, gzipped) => {
+  const tracker = createSizeTracker(sizeLimit);
+  const source = fs.createReadStream(filePath);
+  const extract = tar.extract({ allowUnknownFormat: true }); // Old v7 archives have no ustar magic
+
+  if (gzipped) {
+    const gunzip = zlib.createGunzip();
+    gunzip.on("error", (err) => extract.destroy(archiveError(`Invalid gzip data: ${err.message}`)));
+    source.pipe(gunzip).pipe(extract);
+  } else {
+    source.pipe(extract);
+  }
+
+  try {
+    for await (const entry of extract) {
+      const { name, type } = entry.header;
+
+      if (type === "directory") {
+        const dirPath = resolveEntryPath(extractDir, name);
+        if (dirPath) await createEntryDirectory(extractDir, dirPath);
+        entry.resume();
+        continue;
+      }
+
+      if (type === "symlink" || type === "link") {
+        throw archiveError(`Links are not allowed in archives: ${name}`);
+      }
+      if (type !== "file" && type !== "contiguous-file") {
+        throw archiveError(`Unsupported archive entry type "${type}": ${name}`);
+      }
+
+      const targetPath = resolveEntryPath(extractDir, name);
+      if (!targetPath) {
+        entry.resume();
+        continue;
+      }
+
+      await writeEntry(() => entry, extractDir, targetPath, tracker, sizeLimit);
+    }
+  } catch (err) {
+    if (!err.status && !err.code) {
+      throw archiveError(`Invalid tar archive: ${err.message}`);
+    }
+    throw err;
+  } finally {
+    source.destroy();
+  }
+
+  return tracker.result();
+};
+
+// A plain gzip stream holds a single file, named after the archive without ".gz"
+const extractGzip = async (filePath, extractDir, sizeLimit, originalName) => {
+  const tracker = createSizeTracker(sizeLimit);
+  const fileName = path.basename(originalName || "file.gz").replace(/\.gz$/i, "") || "file";
+  const targetPath = resolveEntryPath(extractDir, fileName);
+
+  const gunzip = zlib.createGunzip();
+  fs.createReadStream(filePath).on("error", (err) => gunzip.destroy(err)).pipe(gunzip);
+
+  try {
+    await writeEntry(() => gunzip, extractDir, targetPath, tracker, sizeLimit);
+  } catch (err) {
+    if (!err.status) {
+      throw archiveError(`Invalid gzip data: ${err.message}`);
+    }
+    throw err;
+  }
+
+  return tracker.result();
+};
+
+/**
+ * Extract an archive into a directory, enforcing a cumulative size limit
+ * Entries that would land outside the directory, symlinks and hardlinks are rejected
+ * @param {string} filePath - Path of the uploaded archive
+ * @param {string} extractDir - Empty directory to extract into
+ * @param {{format: string, sizeLimit: number, originalName?: string}} options
+ * @returns {Promise<{bytes: number, files: number}>} - Extracted size and file count
+ */
+const extractArchive = async (filePath, extractDir, { format, sizeLimit, originalName }) => {
+  switch (format) {
+    case "zip":
+      return extractZip(filePath, extractDir, sizeLimit);
+    case "tar":
+      return extractTar(filePath, extractDir, sizeLimit, false);
+    case "tar.gz":
+      return extractTar(filePath, extractDir, sizeLimit, true);
+    case "gzip":
+      return extractGzip(filePath, extractDir, sizeLimit, originalName);
+    default:
+      throw archiveError("Unsupported archive format");
+  }
+};
+
+module.exports = {
+  streamToFileWithLimit,
+  isSafeZipPath,
+  detectArchiveFormat,
+  extractArchive,
+};
@@ -27,4 +27,13 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
-module.exports = { authMiddleware };
+// Like authMiddleware, but requests without a daku header pass through anonymously
+// A header that is present must still be valid, so a bad token never silently becomes anonymous
+const optionalAuthMiddleware = (req, res, next) => {
+    if (!req.headers.daku) {
+        return next();
+    }
+    return authMiddleware(req, res, next);
+};
+
+module.exports = { authMiddleware, optionalAuthMiddleware };
@@ -0,0 +1,176 @@
+// CAR (Content Addressable aRchive) header parsing for /uploadcar
+// Only the header is read here, Kubo's dag/import checks the blocks themselves
+// CARv1: varint length, then a dag-cbor map {roots: [CID], version: 1}, then the blocks
+// CARv2: an 11 byte pragma, a 40 byte header locating the CARv1 payload, the payload and an optional index
+const fs = require("fs");
+const { cidFromBytes } = require("./cid");
+
+const CAR_V2_PRAGMA = Buffer.from("0aa16776657273696f6e02", "hex");
+const CAR_V2_HEADER_SIZE = 40;
+const HEADER_MAX = 1024 * 1024;
+const MAX_ROOTS = 100;
+const CBOR_CID_TAG = 42;
+const CBOR_MAX_DEPTH = 8;
+
+const carError = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_CAR";
+  error.status = 400;
+  return error;
+};
+
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+const readVarint = (buffer, offset) => {
+  let value = 0;
+  let shift = 0;
+  for (let i = offset; i < buffer.length && shift < 49; i++) {
+    value += (buffer[i] & 0x7f) * 2 ** shift;
+    if ((buffer[i] & 0x80) === 0) return [value, i + 1];
+    shift += 7;
+  }
+  throw carError("Truncated CAR header length");
+};
+
+// Just enough dag-cbor for a CAR header: integers, strings, arrays, maps, CID links and simple values
+const decodeCbor = (buffer, offset = 0, depth = 0) => {
+  if (depth > CBOR_MAX_DEPTH) throw carError("CAR header is nested too deeply");
+  if (offset >= buffer.length) throw carError("Truncated CAR header");
+
+  const major = buffer[offset] >> 5;
+  const info = buffer[offset] & 0x1f;
+  let cursor = offset + 1;
+
+  let value = info;
+  if (info >= 24 && info <= 27) {
+    const size = 2 ** (info - 24);
+    if (cursor + size > buffer.length) throw carError("Truncated CAR header");
+    value = size === 8 ? Number(buffer.readBigUInt64BE(cursor)) : buffer.readUIntBE(cursor, size);
+    cursor += size;
+  } else if (info > 27) {
+    throw carError("CAR header uses indefinite-length CBOR");
+  }
+
+  switch (major) {
+    case 0:
+      return [value, cursor];
+    case 1:
+      return [-1 - value, cursor];
+    case 2:
+    case 3: {
+      if (cursor + value > buffer.length) throw carError("Truncated CAR header");
+      const bytes = buffer.subarray(cursor, cursor + value);
+      return [major === 2 ? bytes : bytes.toString("utf8"), cursor + value];
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < value; i++) {
+        const [item, next] = decodeCbor(buffer, cursor, depth + 1);
+        items.push(item);
+        cursor = next;
+      }
+      return [items, cursor];
+    }
+    case 5: {
+      const map = {};
+      for (let i = 0; i < value; i++) {
+        const [key, afterKey] = decodeCbor(buffer, cursor, depth + 1);
+        const [item, next] = decodeCbor(buffer, afterKey, depth + 1);
+        map[key] = item;
+        cursor = next;
+      }
+      return [map, cursor];
+    }
+    case 6: {
+      const [tagged, next] = decodeCbor(buffer, cursor, depth + 1);
+      // A link is tag 42 over the binary CID behind a 0x00 (identity multibase) prefix
+      if (value !== CBOR_CID_TAG || !Buffer.isBuffer(tagged) || tagged[0] !== 0) {
+        throw carError(`Unexpected CBOR tag ${value} in CAR header`);
+      }
+      return [{ link: tagged.subarray(1) }, next];
+    }
+    default:
+      if (info === 20 || info === 21) return [info === 21, cursor];
+      if (info === 22) return [null, cursor];
+      throw carError("Unsupported CBOR value in CAR header");
+  }
+};
+
+// Parse the CARv1 header starting at `offset`
+const readV1Header = async (handle, offset, end) => {
+  const prefix = await readAt(handle, offset, 10);
+  const [length, headerStart] = readVarint(prefix, 0);
+  if (!length || length > HEADER_MAX) throw carError("CAR header length is out of range");
+  if (offset + headerStart + length > end) throw carError("Truncated CAR header");
+
+  const bytes = await readAt(handle, offset + headerStart, length);
+  if (bytes.length < length) throw carError("Truncated CAR header");
+
+  const [header, consumed] = decodeCbor(bytes);
+  if (consumed !== length || !header || typeof header !== "object" || Array.isArray(header)) {
+    throw carError("CAR header is not a CBOR map");
+  }
+  return header;
+};
+
+/**
+ * Read and validate the header of a CAR file
+ * @param {string} filePath - CAR file on disk
+ * @returns {Promise<{version: 1|2, roots: string[]}>} - Declared root CIDs as strings
+ * @throws {Error} 400 (code INVALID_CAR) for anything that is not a CARv1/CARv2 file with 1-100 valid roots
+ */
+const readCarHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const pragma = await readAt(handle, 0, CAR_V2_PRAGMA.length);
+
+    let version = 1;
+    let header;
+    if (pragma.equals(CAR_V2_PRAGMA)) {
+      version = 2;
+      const v2Header = await readAt(handle, CAR_V2_PRAGMA.length, CAR_V2_HEADER_SIZE);
+      if (v2Header.length < CAR_V2_HEADER_SIZE) throw carError("Truncated CARv2 header");
+
+      // characteristics (16 bytes), then the payload offset and size as little-endian uint64
+      const dataOffset = Number(v2Header.readBigUInt64LE(16));
+      const dataSize = Number(v2Header.readBigUInt64LE(24));
+      if (dataOffset < CAR_V2_PRAGMA.length + CAR_V2_HEADER_SIZE || dataOffset + dataSize > size) {
+        throw carError("CARv2 payload lies outside the file");
+      }
+      header = await readV1Header(handle, dataOffset, dataOffset + dataSize);
+      if (header.version !== 1) throw carError("CARv2 payload is not a CARv1");
+    } else {
+      header = await readV1Header(handle, 0, size);
+      if (header.version !== 1) throw carError(`Unsupported CAR version ${header.version}`);
+    }
+
+    if (!Array.isArray(header.roots) || !header.roots.length) {
+      throw carError("CAR header declares no roots");
+    }
+    if (header.roots.length > MAX_ROOTS) {
+      throw carError(`CAR header declares more than ${MAX_ROOTS} roots`);
+    }
+
+    const roots = header.roots.map((root) => {
+      if (!root || !Buffer.isBuffer(root.link)) throw carError("CAR root is not a CID");
+      try {
+        return cidFromBytes(root.link);
+      } catch (err) {
+        throw carError(`CAR root is not a valid CID: ${err.message}`);
+      }
+    });
+
+    return { version, roots: [...new Set(roots)] };
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  readCarHeader,
+};
@@ -0,0 +1,186 @@
+// Local CID version conversion (no Kubo round-trip)
+// CIDv0 is a base58btc sha2-256 multihash of a dag-pb node; CIDv1 is rendered in base32 like Kubo does
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+const DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+
+const base58Decode = (text) => {
+  const bytes = [0];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) throw new Error(`Invalid base58 character "${char}"`);
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Leading "1"s are leading zero bytes
+  for (let i = 0; i < text.length && text[i] === "1"; i++) bytes.push(0);
+  return Buffer.from(bytes.reverse());
+};
+
+const base58Encode = (buffer) => {
+  const digits = [0];
+  for (const byte of buffer) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+  let result = "";
+  for (let i = 0; i < buffer.length && buffer[i] === 0; i++) result += "1";
+  for (let i = digits.length - 1; i >= 0; i--) result += BASE58_ALPHABET[digits[i]];
+  return result;
+};
+
+const base32Decode = (text) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) throw new Error(`Invalid base32 character "${char}"`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((value >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const base32Encode = (buffer) => {
+  let result = "";
+  let value = 0;
+  let bits = 0;
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      result += BASE32_ALPHABET[(value >> bits) & 31];
+    }
+  }
+  if (bits > 0) result += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return result;
+};
+
+const readVarint = (buffer, offset) => {
+  let value = 0;
+  let shift = 0;
+  for (let i = offset; i < buffer.length; i++) {
+    value += (buffer[i] & 0x7f) * 2 ** shift;
+    if ((buffer[i] & 0x80) === 0) return [value, i + 1];
+    shift += 7;
+  }
+  throw new Error("Truncated varint");
+};
+
+const writeVarint = (value) => {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value & 0x7f) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+};
+
+// Parse a CID string into {version, codec, multihash}
+const parseCid = (cid) => {
+  const text = String(cid || "").trim();
+
+  if (text.length === 46 && text.startsWith("Qm")) {
+    return { version: 0, codec: DAG_PB, multihash: base58Decode(text) };
+  }
+
+  let bytes;
+  if (text.startsWith("b")) {
+    bytes = base32Decode(text.slice(1));
+  } else if (text.startsWith("z")) {
+    bytes = base58Decode(text.slice(1));
+  } else {
+    throw new Error(`Unsupported CID encoding: ${text}`);
+  }
+
+  const [version, afterVersion] = readVarint(bytes, 0);
+  if (version !== 1) throw new Error(`Unsupported CID version ${version}`);
+  const [codec, afterCodec] = readVarint(bytes, afterVersion);
+  return { version, codec, multihash: bytes.subarray(afterCodec) };
+};
+
+/**
+ * Convert a CID to its base32 CIDv1 form
+ * @param {string} cid - CIDv0 or CIDv1 (base32 or base58btc)
+ * @returns {string|null} - "bafy..." or null when the CID cannot be parsed
+ */
+const toCidV1 = (cid) => {
+  try {
+    const { codec, multihash } = parseCid(cid);
+    return `b${base32Encode(Buffer.concat([writeVarint(1), writeVarint(codec), multihash]))}`;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Convert a CID to its CIDv0 form, which only exists for dag-pb nodes hashed with sha2-256
+ * @param {string} cid - CIDv0 or CIDv1
+ * @returns {string|null} - "Qm..." or null when there is no v0 form (raw leaves, other hashes)
+ */
+const toCidV0 = (cid) => {
+  try {
+    const { codec, multihash } = parseCid(cid);
+    if (codec !== DAG_PB || multihash[0] !== SHA2_256 || multihash[1] !== 32 || multihash.length !== 34) {
+      return null;
+    }
+    return base58Encode(multihash);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Render a binary CID (as stored in CAR headers and dag-cbor links) as a string
+ * @param {Buffer} bytes - CIDv0 multihash or CIDv1 bytes
+ * @returns {string} - "Qm..." for CIDv0, base32 "b..." for CIDv1
+ * @throws {Error} When the bytes are not a CID
+ */
+const cidFromBytes = (bytes) => {
+  if (bytes.length === 34 && bytes[0] === SHA2_256 && bytes[1] === 32) {
+    return base58Encode(bytes);
+  }
+
+  const [version, afterVersion] = readVarint(bytes, 0);
+  if (version !== 1) throw new Error(`Unsupported CID version ${version}`);
+  const [, afterCodec] = readVarint(bytes, afterVersion);
+  const [, afterHashCode] = readVarint(bytes, afterCodec);
+  const [digestLength, afterDigestLength] = readVarint(bytes, afterHashCode);
+  if (afterDigestLength + digestLength !== bytes.length) throw new Error("CID digest length does not match");
+  return `b${base32Encode(bytes)}`;
+};
+
+// Both CID forms for upload responses
+const cidForms = (cid) => ({ cidV0: toCidV0(cid), cidV1: toCidV1(cid) });
+
+module.exports = {
+  toCidV0,
+  toCidV1,
+  cidForms,
+  cidFromBytes,
+};
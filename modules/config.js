@@ -20,6 +20,27 @@ const parseSize = (sizeStr) => {
   return Math.floor(value * units[unit]);
 };
 
+// Parse human-readable duration (e.g., "30d", "12h", "90m") to milliseconds, "0" disables
+const parseDuration = (durationStr) => {
+  const units = {
+    S: 1000,
+    M: 60 * 1000,
+    H: 60 * 60 * 1000,
+    D: 24 * 60 * 60 * 1000,
+    W: 7 * 24 * 60 * 60 * 1000,
+  };
+
+  const value = String(durationStr).trim();
+  if (value === "0") return 0;
+
+  const match = value.match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)$/i);
+  if (!match) {
+    throw new Error(`Invalid duration format: ${durationStr}`);
+  }
+
+  return Math.floor(parseFloat(match[1]) * units[match[2].toUpperCase()]);
+};
+
 // Format bytes to human-readable format
 const formatBytes = (bytes) => {
   const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
@@ -37,13 +58,137 @@ const FILE_LIMIT = process.env.FILE_LIMIT ? parseSize(process.env.FILE_LIMIT) :
 const PROXY_FILE_LIMIT = process.env.REMOTE_FILE_LIMIT ? parseSize(process.env.REMOTE_FILE_LIMIT) : Math.floor(STORAGE_MAX_BYTES / 100); // Remote upload file size limit
 const HOST = "0.0.0.0";
 const UPLOAD_TEMP_DIR = "/tmp/originless";
+const DATA_DIR = process.env.DATA_DIR || "/data/originless"; // Pin database journal lives here (inside the /data volume)
+
+// Anonymous upload retention: uploads are pinned for this long, then unpinned by the sweeper
+// UPLOAD_RETENTION=0 (default) keeps the old behaviour of adding uploads unpinned
+const UPLOAD_RETENTION = process.env.UPLOAD_RETENTION || "0";
+const UPLOAD_RETENTION_MS = parseDuration(UPLOAD_RETENTION);
+const UPLOAD_RETENTION_MAX_SIZE = process.env.UPLOAD_RETENTION_MAX_SIZE ? parseSize(process.env.UPLOAD_RETENTION_MAX_SIZE) : 0; // 0 = no cap
+
+// Deletion tokens of anonymous uploads last as long as the upload is retained, or this long when it is not
+const DELETION_TOKEN_TTL = process.env.DELETION_TOKEN_TTL || "7d";
+const DELETION_TOKEN_TTL_MS = parseDuration(DELETION_TOKEN_TTL) || parseDuration("7d");
+
+// Kubo content blocking file that deleted CIDs are appended to, so the node's own gateway stops serving them
+// Kubo only loads denylist files that exist when it starts (the Docker image creates this one), "" disables
+const IPFS_DENYLIST_FILE = process.env.IPFS_DENYLIST_FILE !== undefined
+  ? process.env.IPFS_DENYLIST_FILE.trim()
+  : process.env.IPFS_PATH ? `${process.env.IPFS_PATH}/denylists/originless.deny` : "";
+
+// Operator defaults for upload add options (validated in modules/addoptions.js, unset = Kubo's defaults)
+const ADD_DEFAULTS = {
+  "cid-version": process.env.ADD_CID_VERSION,
+  "raw-leaves": process.env.ADD_RAW_LEAVES,
+  chunker: process.env.ADD_CHUNKER,
+  hash: process.env.ADD_HASH,
+  trickle: process.env.ADD_TRICKLE,
+};
+
+// Stream /upload straight into Kubo instead of spooling it to a temp file first
+const UPLOAD_STREAMING = process.env.UPLOAD_STREAMING !== "false";
+
+// Strip EXIF/XMP/IPTC and similar metadata from JPEG, PNG and WebP uploads (clients can opt out with scrub=false)
+const SCRUB_METADATA = process.env.SCRUB_METADATA !== "false";
+
+// Content-type policy, matched against the type sniffed from each file's signature (modules/filetype.js)
+// Lists are comma-separated types with wildcards ("image/*,video/mp4"). ALLOWED_TYPES/DENIED_TYPES apply to every
+// endpoint that does not set its own: UPLOAD_* (/upload, PUT /upload/:filename, tus), ZIP_* (/uploadzip entries and
+// /uploadfolder files) and REMOTE_* (/remoteupload). An empty allow list allows everything; deny wins over allow
+const parseTypeList = (name, fallbackName) => {
+  const source = process.env[name] !== undefined ? name : fallbackName;
+  const types = String(process.env[source] || "").split(",").map((type) => type.trim().toLowerCase()).filter(Boolean);
+
+  const invalid = types.find((type) => !/^[a-z0-9*][a-z0-9!#$&^_.+*-]*\/[a-z0-9!#$&^_.+*-]+$/.test(type));
+  if (invalid) {
+    throw new Error(`Invalid ${source} entry: ${invalid}`);
+  }
+  return types;
+};
+
+const TYPE_POLICY = ["upload", "zip", "remote"].reduce((policy, scope) => {
+  const prefix = scope.toUpperCase();
+  policy[scope] = {
+    allow: parseTypeList(`${prefix}_ALLOWED_TYPES`, "ALLOWED_TYPES"),
+    deny: parseTypeList(`${prefix}_DENIED_TYPES`, "DENIED_TYPES"),
+  };
+  return policy;
+}, {});
+
+// Reject files whose content contradicts their extension or declared type (a .png that is really HTML)
+const REJECT_TYPE_MISMATCH = process.env.REJECT_TYPE_MISMATCH !== "false";
+
+// Content scanning between staging an upload and adding it to IPFS (modules/scanner.js), off unless SCANNER is set
+// SCANNER=clamd streams files to a ClamAV daemon (unix socket path or tcp://host:port),
+// SCANNER=command runs SCAN_COMMAND with the file path appended (exit 0 = clean, 1 = infected)
+// A scan that errors or passes SCAN_TIMEOUT refuses the upload unless SCAN_FAIL_OPEN=true
+const SCANNER = (process.env.SCANNER || "").trim().toLowerCase();
+const SCAN_CLAMD_SOCKET = process.env.SCAN_CLAMD_SOCKET || "/var/run/clamav/clamd.ctl";
+const SCAN_COMMAND = (process.env.SCAN_COMMAND || "").trim();
+const SCAN_TIMEOUT_MS = parseDuration(process.env.SCAN_TIMEOUT || "30s") || parseDuration("30s");
+const SCAN_FAIL_OPEN = process.env.SCAN_FAIL_OPEN === "true";
+
+if (SCANNER && !["clamd", "command"].includes(SCANNER)) {
+  throw new Error(`Invalid SCANNER: ${SCANNER} (use clamd or command)`);
+}
+if (SCANNER === "command" && !SCAN_COMMAND) {
+  throw new Error("SCANNER=command needs SCAN_COMMAND");
+}
+
+// Subdomain gateway for website uploads (<cidv1>.ipfs.<host>), which gives every site its own origin
+const SUBDOMAIN_GATEWAY = (process.env.SUBDOMAIN_GATEWAY || "https://dweb.link").replace(/\/+$/, "");
+
+if (!/^https?:\/\/[^/]+$/.test(SUBDOMAIN_GATEWAY)) {
+  throw new Error(`Invalid SUBDOMAIN_GATEWAY: ${SUBDOMAIN_GATEWAY} (use a scheme and host, e.g. https://dweb.link)`);
+}
+
+// Resumable (tus) uploads: partial uploads untouched for this long are deleted
+const TUS_EXPIRY = process.env.TUS_EXPIRY || "24h";
+const TUS_EXPIRY_MS = parseDuration(TUS_EXPIRY) || parseDuration("24h");
+
+// Background remote uploads (POST /remoteupload?async=true) run this many at a time
+const REMOTE_UPLOAD_WORKERS = Math.max(1, parseInt(process.env.REMOTE_UPLOAD_WORKERS, 10) || 3);
+
+// Background pin jobs
+const PIN_CONCURRENCY = Math.max(1, parseInt(process.env.PIN_CONCURRENCY, 10) || 2);
+const parsedPinRetries = parseInt(process.env.PIN_MAX_RETRIES, 10);
+const PIN_MAX_RETRIES = Number.isNaN(parsedPinRetries) ? 3 : Math.max(0, parsedPinRetries); // 0 turns retries off
+const PIN_RETRY_DELAY_MS = 30 * 1000; // Base backoff, doubled on each retry
+
+// Per-user pin quotas (0 = unlimited)
+// USER_QUOTAS overrides the defaults per public key: "pubkey=10GB:500,pubkey2=1GB"
+const QUOTA_BYTES = process.env.QUOTA_BYTES ? parseSize(process.env.QUOTA_BYTES) : STORAGE_MAX_BYTES;
+const QUOTA_PINS = Math.max(0, parseInt(process.env.QUOTA_PINS, 10) || 0);
+
+const parseUserQuotas = (value) => {
+  const quotas = {};
+  if (!value) return quotas;
+
+  value.split(",").map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [userId, limits] = entry.split("=").map((part) => part.trim());
+    if (!userId || !limits) {
+      throw new Error(`Invalid USER_QUOTAS entry: ${entry}`);
+    }
+
+    const [bytes, pins] = limits.split(":").map((part) => part.trim());
+    quotas[userId] = {
+      maxBytes: bytes ? parseSize(bytes) : QUOTA_BYTES,
+      maxPins: pins ? Math.max(0, parseInt(pins, 10) || 0) : QUOTA_PINS,
+    };
+  });
+
+  return quotas;
+};
 
+const USER_QUOTAS = parseUserQuotas(process.env.USER_QUOTAS);
 
 // Access Control
 const ALLOWED_USERS = process.env.ALLOWED_USERS ? process.env.ALLOWED_USERS.split(',').map(u => u.trim()).filter(u => u) : [];
+const HIDE_AUTHORS = process.env.HIDE_AUTHORS === "true"; // Replace author keys with pseudonyms in /api/pins
 
 module.exports = {
   parseSize,
+  parseDuration,
   formatBytes,
   IPFS_API,
   PORT,
@@ -52,5 +197,31 @@ module.exports = {
   PROXY_FILE_LIMIT,
   HOST,
   UPLOAD_TEMP_DIR,
+  DATA_DIR,
+  UPLOAD_RETENTION,
+  UPLOAD_RETENTION_MS,
+  UPLOAD_RETENTION_MAX_SIZE,
+  DELETION_TOKEN_TTL_MS,
+  IPFS_DENYLIST_FILE,
+  TUS_EXPIRY_MS,
+  ADD_DEFAULTS,
+  SCRUB_METADATA,
+  UPLOAD_STREAMING,
+  TYPE_POLICY,
+  REJECT_TYPE_MISMATCH,
+  SCANNER,
+  SCAN_CLAMD_SOCKET,
+  SCAN_COMMAND,
+  SCAN_TIMEOUT_MS,
+  SCAN_FAIL_OPEN,
+  SUBDOMAIN_GATEWAY,
+  REMOTE_UPLOAD_WORKERS,
+  PIN_CONCURRENCY,
+  PIN_MAX_RETRIES,
+  PIN_RETRY_DELAY_MS,
+  QUOTA_BYTES,
+  QUOTA_PINS,
+  USER_QUOTAS,
   ALLOWED_USERS,
+  HIDE_AUTHORS,
 };
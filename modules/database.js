@@ -1,12 +1,30 @@
-// In-memory database module for tracking pinned content
-// Stateless between reboots - resets on restart
+// Database module for tracking pinned content
+// Records live in memory and are persisted to an append-only journal under DATA_DIR
 
-// In-memory store
-const pinsMap = new Map(); // CID -> pin object
+const { openJournal } = require("./store");
+
+// Each author holds their own reference to a CID, so records are keyed by author and CID
+const pinKey = (cid, author) => `${author || ""}:${cid}`;
+
+// Journal-backed store
+const journal = openJournal("pins");
+const pinsMap = journal.map; // author:CID -> pin object
 let nextId = 1;
+for (const [key, pin] of Array.from(pinsMap.entries())) {
+  if (pin.id >= nextId) nextId = pin.id + 1;
+
+  // Journals written before shared ownership were keyed by CID alone
+  if (key !== pinKey(pin.cid, pin.author)) {
+    journal.del(key);
+    journal.put(pinKey(pin.cid, pin.author), pin);
+  }
+}
+
+// Last reconciliation result against Kubo's pin set
+let reconcileReport = null;
 
 // Helper to create pin object
-const createPinObject = (id, eventId, cid, size, timestamp, author, type, status, createdAt, updatedAt) => ({
+const createPinObject = (id, eventId, cid, size, timestamp, author, type, status, createdAt, updatedAt, labels = {}) => ({
   id,
   event_id: eventId,
   cid,
@@ -15,29 +33,41 @@ const createPinObject = (id, eventId, cid, size, timestamp, author, type, status
   author,
   type,
   status,
+  name: labels.name || null,
+  tags: labels.tags || [],
+  note: labels.note || null,
+  mime_type: labels.mimeType || null,
   created_at: createdAt,
   updated_at: updatedAt,
 });
 
 // Record pin (INSERT OR REPLACE)
-const recordPin = ({ eventId, cid, size = 0, timestamp, author, type, status = 'pinned' }) => {
+// name/tags/note/mimeType are only overwritten on update when provided
+const recordPin = ({ eventId, cid, size = 0, timestamp, author, type, status = 'pinned', name, tags, note, mimeType }) => {
   try {
     const now = Math.floor(Date.now() / 1000);
 
-    if (pinsMap.has(cid)) {
+    const key = pinKey(cid, author);
+
+    if (pinsMap.has(key)) {
       // Update existing
-      const existing = pinsMap.get(cid);
+      const existing = pinsMap.get(key);
       const sizeMB = (size / 1024 / 1024).toFixed(2);
       existing.size = size;
       existing.status = status;
       existing.updated_at = now;
+      if (name !== undefined) existing.name = name;
+      if (tags !== undefined) existing.tags = tags;
+      if (note !== undefined) existing.note = note;
+      if (mimeType !== undefined) existing.mime_type = mimeType;
+      journal.put(key, existing);
       console.log(`[DB] PIN_UPDATE cid=${cid} type=${type} status=${status} size_mb=${sizeMB}`);
     } else {
       // Insert new
       const id = nextId++;
       const createdAt = Math.floor(Date.now() / 1000);
-      const pin = createPinObject(id, eventId, cid, size, timestamp, author, type, status, createdAt, now);
-      pinsMap.set(cid, pin);
+      const pin = createPinObject(id, eventId, cid, size, timestamp, author, type, status, createdAt, now, { name, tags, note, mimeType });
+      journal.put(key, pin);
       const sizeMB = (size / 1024 / 1024).toFixed(2);
       console.log(`[DB] PIN_INSERT cid=${cid} type=${type} status=${status} event_id=${eventId} size_mb=${sizeMB}`);
     }
@@ -48,16 +78,66 @@ const recordPin = ({ eventId, cid, size = 0, timestamp, author, type, status = '
   }
 };
 
-// Get pin by CID
-const getPinByCid = (cid) => {
+// Update fields of existing pin references (status, size, error)
+// Without an author every reference to the CID is updated; onlyStatus limits it to references in that status
+const updatePin = (cid, fields, { author, onlyStatus } = {}) => {
   try {
-    return pinsMap.get(cid) || null;
+    const targets = author !== undefined
+      ? [pinsMap.get(pinKey(cid, author))].filter(Boolean)
+      : getPinsByCid(cid);
+
+    let updated = 0;
+    for (const existing of targets) {
+      if (onlyStatus && existing.status !== onlyStatus) continue;
+
+      const pin = { ...existing, ...fields, updated_at: Math.floor(Date.now() / 1000) };
+      journal.put(pinKey(pin.cid, pin.author), pin);
+      updated++;
+      console.log(`[DB] PIN_UPDATE cid=${cid} status=${pin.status} size_mb=${(pin.size / 1024 / 1024).toFixed(2)}`);
+    }
+    return updated > 0;
+  } catch (err) {
+    console.error(`[DB] PIN_UPDATE_ERROR cid=${cid} error="${err.message}"`);
+    return false;
+  }
+};
+
+// Get pins with a given status (e.g. pending pins to resume after a restart)
+const getPinsByStatus = (status) => {
+  try {
+    return Array.from(pinsMap.values()).filter(pin => pin.status === status);
+  } catch (err) {
+    console.error(`[DB] Failed to get pins by status:`, err.message);
+    return [];
+  }
+};
+
+// Get pin by CID - the reference held by author, or any reference when author is omitted
+const getPinByCid = (cid, author) => {
+  try {
+    if (author !== undefined) {
+      return pinsMap.get(pinKey(cid, author)) || null;
+    }
+    return getPinsByCid(cid)[0] || null;
   } catch (err) {
     console.error(`[DB] Failed to get pin by CID:`, err.message);
     return null;
   }
 };
 
+// Get every author's reference to a CID
+const getPinsByCid = (cid) => {
+  try {
+    return Array.from(pinsMap.values()).filter(pin => pin.cid === cid);
+  } catch (err) {
+    console.error(`[DB] Failed to get pins by CID:`, err.message);
+    return [];
+  }
+};
+
+// Count references to a CID that still hold it pinned (failed references do not)
+const countReferences = (cid) => getPinsByCid(cid).filter(pin => pin.status !== 'failed').length;
+
 // Get all pins with pagination
 const getPins = (limit = 50, offset = 0) => {
   try {
@@ -83,10 +163,66 @@ const getPinsByAuthor = (author, limit = 50, offset = 0) => {
   }
 };
 
-// Delete pin
-const deletePin = (cid) => {
+// Sortable fields for queryPins
+const SORT_FIELDS = ['created_at', 'updated_at', 'size', 'name', 'status'];
+
+// Query pins with filters, sorting and pagination
+// Filters: author, tag, status, type, name (case-insensitive substring), minSize, maxSize
+const queryPins = ({ author, tag, status, type, name, minSize, maxSize, sort = 'created_at', order = 'desc', limit = 50, offset = 0 } = {}) => {
+  try {
+    const nameNeedle = name ? String(name).toLowerCase() : null;
+    const tagNeedle = tag ? String(tag).toLowerCase() : null;
+    const sortField = SORT_FIELDS.includes(sort) ? sort : 'created_at';
+    const direction = order === 'asc' ? 1 : -1;
+
+    const matches = Array.from(pinsMap.values()).filter((pin) => {
+      if (author !== undefined && pin.author !== author) return false;
+      if (status && pin.status !== status) return false;
+      if (type && pin.type !== type) return false;
+      if (tagNeedle && !(pin.tags || []).includes(tagNeedle)) return false;
+      if (nameNeedle && !String(pin.name || '').toLowerCase().includes(nameNeedle)) return false;
+      if (minSize !== undefined && (pin.size || 0) < minSize) return false;
+      if (maxSize !== undefined && (pin.size || 0) > maxSize) return false;
+      return true;
+    });
+
+    matches.sort((a, b) => {
+      const left = a[sortField] ?? '';
+      const right = b[sortField] ?? '';
+      if (left < right) return -1 * direction;
+      if (left > right) return 1 * direction;
+      return (b.created_at - a.created_at) || (b.id - a.id);
+    });
+
+    return { pins: matches.slice(offset, offset + limit), total: matches.length };
+  } catch (err) {
+    console.error(`[DB] Failed to query pins:`, err.message);
+    return { pins: [], total: 0 };
+  }
+};
+
+// Get storage usage of an author (failed pins do not count)
+const getUsageByAuthor = (author) => {
+  const usage = { bytes: 0, pins: 0 };
+
+  try {
+    for (const pin of pinsMap.values()) {
+      if (pin.author === author && pin.status !== 'failed') {
+        usage.bytes += pin.size || 0;
+        usage.pins++;
+      }
+    }
+  } catch (err) {
+    console.error(`[DB] Failed to get usage by author:`, err.message);
+  }
+
+  return usage;
+};
+
+// Delete one author's reference to a CID
+const deletePin = (cid, author) => {
   try {
-    return pinsMap.delete(cid);
+    return journal.del(pinKey(cid, author));
   } catch (err) {
     console.error(`[DB] Failed to delete pin:`, err.message);
     return false;
@@ -106,32 +242,89 @@ const getPinsByType = (type, limit = 50, offset = 0) => {
   }
 };
 
+// Aggregate pins into {type, status, count, total_size} rows
+// (types such as user_pin contain underscores, so rows are keyed on both fields)
+const summarizePins = (pins) => {
+  const stats = new Map();
+
+  for (const pin of pins) {
+    const key = JSON.stringify([pin.type, pin.status]);
+    if (!stats.has(key)) {
+      stats.set(key, { type: pin.type, status: pin.status, count: 0, total_size: 0 });
+    }
+    const row = stats.get(key);
+    row.count++;
+    row.total_size += pin.size || 0;
+  }
+
+  return Array.from(stats.values());
+};
+
 // Get statistics by type and status
 const getStats = () => {
   try {
-    const stats = {};
+    return summarizePins(pinsMap.values());
+  } catch (err) {
+    console.error(`[DB] Failed to get stats:`, err.message);
+    return [];
+  }
+};
+
+// Group pins by author (hex Daku key), paginating over authors
+// Authors are ordered by their most recent pin; each group holds up to pinsPerAuthor pins
+const getPinsGroupedByNpub = (limit = 50, offset = 0, pinsPerAuthor = 10) => {
+  try {
+    const groups = new Map();
 
     for (const pin of pinsMap.values()) {
-      const key = `${pin.type}_${pin.status}`;
-      if (!stats[key]) {
-        stats[key] = { count: 0, total_size: 0 };
-      }
-      stats[key].count++;
-      stats[key].total_size += pin.size;
+      if (!pin.author) continue;
+      if (!groups.has(pin.author)) groups.set(pin.author, []);
+      groups.get(pin.author).push(pin);
     }
 
-    return Object.entries(stats).map(([key, value]) => ({
-      type: key.split('_')[0],
-      status: key.split('_')[1],
-      count: value.count,
-      total_size: value.total_size,
-    }));
+    const authors = Array.from(groups.entries())
+      .map(([author, pins]) => {
+        pins.sort((a, b) => b.created_at - a.created_at);
+        return { author, pins };
+      })
+      .sort((a, b) => b.pins[0].created_at - a.pins[0].created_at);
+
+    const page = {};
+    authors.slice(offset, offset + limit).forEach(({ author, pins }) => {
+      page[author] = pins.slice(0, pinsPerAuthor);
+    });
+
+    return { groups: page, totalAuthors: authors.length };
   } catch (err) {
-    console.error(`[DB] Failed to get stats:`, err.message);
+    console.error(`[DB] Failed to group pins by author:`, err.message);
+    return { groups: {}, totalAuthors: 0 };
+  }
+};
+
+// Get statistics by type and status for one author
+const getStatsByNpub = (author) => {
+  try {
+    return summarizePins(Array.from(pinsMap.values()).filter(pin => pin.author === author));
+  } catch (err) {
+    console.error(`[DB] Failed to get stats by author:`, err.message);
     return [];
   }
 };
 
+// Count pins of one author
+const countByNpub = (author) => {
+  try {
+    let count = 0;
+    for (const pin of pinsMap.values()) {
+      if (pin.author === author) count++;
+    }
+    return count;
+  } catch (err) {
+    console.error(`[DB] Failed to count by author:`, err.message);
+    return 0;
+  }
+};
+
 // Get total count
 const getTotalCount = () => {
   try {
@@ -157,14 +350,15 @@ const getRecentPins = (limit = 10) => {
 // Insert CID if not exists
 const insertCidIfNotExists = ({ eventId, cid, timestamp, author, type }) => {
   try {
-    if (pinsMap.has(cid)) {
+    const key = pinKey(cid, author);
+    if (pinsMap.has(key)) {
       return false; // Already exists
     }
 
     const id = nextId++;
     const now = Math.floor(Date.now() / 1000);
     const pin = createPinObject(id, eventId, cid, 0, timestamp, author, type, 'pending', now, now);
-    pinsMap.set(cid, pin);
+    journal.put(key, pin);
     return true; // Inserted
   } catch (err) {
     console.error(`[DB] Failed to insert CID:`, err.message);
@@ -179,7 +373,8 @@ const batchInsertCids = (cids) => {
     let duplicates = 0;
 
     for (const cidObj of cids) {
-      if (!pinsMap.has(cidObj.cid)) {
+      const key = pinKey(cidObj.cid, cidObj.author);
+      if (!pinsMap.has(key)) {
         const id = nextId++;
         const now = Math.floor(Date.now() / 1000);
         const pin = createPinObject(
@@ -194,7 +389,7 @@ const batchInsertCids = (cids) => {
           now,
           now
         );
-        pinsMap.set(cidObj.cid, pin);
+        journal.put(key, pin);
         inserted++;
       } else {
         duplicates++;
@@ -228,7 +423,9 @@ const countByTypeAndStatus = (type, status) => {
 // Get current store stats (for debugging)
 const getStoreStats = () => {
   const stats = {
-    totalCids: pinsMap.size,
+    totalCids: new Set(Array.from(pinsMap.values(), pin => pin.cid)).size,
+    references: pinsMap.size,
+    persistent: journal.persistent,
     byType: {},
     byStatus: {},
   };
@@ -247,7 +444,57 @@ const getStoreStats = () => {
   return stats;
 };
 
-// Cleanup on exit (no-op for in-memory)
+// Compare tracked records with the CIDs Kubo actually has pinned
+// Records marked pinned but missing from Kubo are flagged with kubo_status=missing,
+// Kubo pins without a record are reported as untracked
+// CIDs in otherTracked (e.g. retained uploads) are not reported as untracked
+const reconcilePins = (kuboCids, otherTracked = new Set()) => {
+  const kuboSet = kuboCids instanceof Set ? kuboCids : new Set(kuboCids);
+  const trackedCids = new Set();
+  const missingSet = new Set();
+  const untracked = [];
+
+  for (const pin of Array.from(pinsMap.values())) {
+    trackedCids.add(pin.cid);
+
+    const kuboStatus = kuboSet.has(pin.cid) ? 'present' : 'missing';
+    if (kuboStatus === 'missing' && pin.status === 'pinned') {
+      missingSet.add(pin.cid);
+    }
+
+    if (pin.kubo_status !== kuboStatus) {
+      pin.kubo_status = kuboStatus;
+      journal.put(pinKey(pin.cid, pin.author), pin);
+    }
+  }
+
+  for (const cid of kuboSet) {
+    if (!trackedCids.has(cid) && !otherTracked.has(cid)) {
+      untracked.push(cid);
+    }
+  }
+
+  const missing = Array.from(missingSet);
+
+  reconcileReport = {
+    reconciledAt: Math.floor(Date.now() / 1000),
+    records: pinsMap.size,
+    kuboPins: kuboSet.size,
+    missing,
+    untracked,
+  };
+
+  console.log(`[DB] RECONCILE records=${pinsMap.size} kubo_pins=${kuboSet.size} missing=${missing.length} untracked=${untracked.length}`);
+  missing.forEach((cid) => console.warn(`[DB] RECONCILE_MISSING_IN_KUBO cid=${cid}`));
+  untracked.forEach((cid) => console.warn(`[DB] RECONCILE_UNTRACKED_IN_DB cid=${cid}`));
+
+  return reconcileReport;
+};
+
+// Get the last reconciliation report (null until the first run)
+const getReconcileReport = () => reconcileReport;
+
+// Cleanup on exit (journal writes are synchronous, nothing to flush)
 process.on('exit', () => {
   console.log(`[DB] Shutting down. Final store stats:`, getStoreStats());
 });
@@ -259,18 +506,29 @@ process.on('SIGINT', () => {
 
 
 module.exports = {
-  // Core functions (same API as SQLite version)
+  // Core functions
   recordPin,
+  updatePin,
   getPinByCid,
+  getPinsByCid,
+  countReferences,
+  getPinsByStatus,
   getPins,
   getPinsByType,
   getPinsByAuthor,
+  queryPins,
+  getUsageByAuthor,
   deletePin,
   getStats,
+  getPinsGroupedByNpub,
+  getStatsByNpub,
+  countByNpub,
   getTotalCount,
   getRecentPins,
   insertCidIfNotExists,
   batchInsertCids,
   countByTypeAndStatus,
   getStoreStats,
+  reconcilePins,
+  getReconcileReport,
 };
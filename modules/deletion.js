@@ -0,0 +1,185 @@
+// Deletion tokens for anonymous uploads, and the denylist of content deleted with them
+// Only the upload that first brings content onto the node gets a token, re-uploads of stored content do not.
+// Only a SHA-256 of each token is stored. A token stays valid while its upload is retained,
+// or for DELETION_TOKEN_TTL when the upload was added unpinned.
+// Content an author pins is never denylisted: a token only ends the anonymous upload, and an author pinning
+// denylisted content lifts the entry. Denylist changes are mirrored to Kubo's content blocking (IPFS_DENYLIST_FILE)
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { DELETION_TOKEN_TTL_MS, IPFS_DENYLIST_FILE } = require("./config");
+const { openJournal } = require("./store");
+const { toCidV0, toCidV1 } = require("./cid");
+const { countReferences } = require("./database");
+const { removeDagBlocks } = require("./ipfs");
+const { isRetained, forgetUpload } = require("./retention");
+const { releaseIfUnreferenced } = require("./references");
+
+const tokenJournal = openJournal("deletion-tokens");
+const tokensMap = tokenJournal.map; // token hash -> {cid, created_at, expires_at}
+
+const denyJournal = openJournal("denylist");
+const deniedMap = denyJournal.map; // CIDv1 -> {cid, deleted_at}
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// CIDv0 and CIDv1 of the same content share one denylist entry
+const denyKey = (cid) => toCidV1(cid) || String(cid).trim();
+
+/**
+ * Create a deletion token for an anonymous upload
+ * @param {string} cid - Uploaded CID
+ * @param {string|null} expiresAt - ISO end of the upload's retention window, null when it is not retained
+ * @returns {string} - The token, handed to the uploader once and never stored
+ */
+const issueDeletionToken = (cid, expiresAt) => {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const now = Date.now();
+
+  tokenJournal.put(hashToken(token), {
+    cid,
+    created_at: now,
+    expires_at: expiresAt ? Date.parse(expiresAt) : now + DELETION_TOKEN_TTL_MS,
+  });
+  return token;
+};
+
+// A retained upload keeps its token valid even after re-uploads extended the window past expires_at
+const isTokenLive = (record) => record.expires_at > Date.now() || isRetained(record.cid);
+
+// Both CID versions of the same content
+const cidFormsOf = (cid) => Array.from(new Set([String(cid).trim(), toCidV0(cid), toCidV1(cid)].filter(Boolean)));
+
+/**
+ * Look up the token for a CID
+ * @param {string} cid - CID the caller wants to delete (either version)
+ * @param {string} token - Deletion token from the upload response
+ * @returns {object|null} - Token record, null when the token is unknown, expired or for other content
+ */
+const findDeletionToken = (cid, token) => {
+  const record = tokensMap.get(hashToken(token));
+  if (!record || denyKey(record.cid) !== denyKey(cid) || !isTokenLive(record)) return null;
+  return record;
+};
+
+/**
+ * Check whether content was deleted from this node
+ * @param {string} cid - CID in either version
+ * @returns {boolean}
+ */
+const isDenied = (cid) => deniedMap.has(denyKey(cid));
+
+// Pins of any author, under either CID version
+const countAuthorReferences = (cid) => cidFormsOf(cid).reduce((total, form) => total + countReferences(form), 0);
+
+/**
+ * Check whether an anonymous upload is the first to bring content onto the node and may get a deletion token.
+ * Call it before the upload is retained: a live token, a retention window or an author pin means someone else
+ * already stored it, and a token for the re-upload would let its uploader take their content down
+ * @param {string} cid - Uploaded CID (either version)
+ * @returns {boolean}
+ */
+const isFirstUpload = (cid) => {
+  const key = denyKey(cid);
+  const hasToken = Array.from(tokensMap.values()).some((record) => denyKey(record.cid) === key && isTokenLive(record));
+  return !hasToken && !cidFormsOf(cid).some(isRetained) && countAuthorReferences(cid) === 0;
+};
+
+// Append a rule to the Kubo denylist file ("/ipfs/<cid>" blocks, "!/ipfs/<cid>" unblocks).
+// Kubo follows appended lines without a restart. The node keeps its own denylist when this fails
+const appendKuboRule = (rule) => {
+  if (!IPFS_DENYLIST_FILE) return;
+  try {
+    fs.mkdirSync(path.dirname(IPFS_DENYLIST_FILE), { recursive: true });
+    fs.appendFileSync(IPFS_DENYLIST_FILE, `${rule}\n`);
+  } catch (err) {
+    console.error(`[DELETE] Failed to update Kubo denylist ${IPFS_DENYLIST_FILE}: ${err.message}`);
+  }
+};
+
+/**
+ * Lift the denylist entry of content an author now pins
+ * @param {string} cid - CID in either version
+ * @returns {boolean} - True when the content was denylisted
+ */
+const allowContent = (cid) => {
+  const key = denyKey(cid);
+  if (!deniedMap.has(key)) return false;
+
+  denyJournal.del(key);
+  appendKuboRule(`!/ipfs/${key}`);
+  console.log(`[DELETE] CONTENT_ALLOWED cid=${cid}`);
+  return true;
+};
+
+// Error thrown when an upload produces content that was deleted before
+const deletedContentError = (cid) => {
+  const error = new Error("This content was deleted from this node and cannot be added again");
+  error.code = "CONTENT_DELETED";
+  error.status = 410;
+  error.cid = cid;
+  return error;
+};
+
+/**
+ * Unpin content unless a user pin holds it, then drop every block no pin references
+ * @param {string} cid - Root CID
+ * @returns {Promise<{unpinned: boolean, removed: number, kept: number}>}
+ */
+const purgeContent = async (cid) => {
+  const unpinned = await releaseIfUnreferenced(cid);
+  const blocks = await removeDagBlocks(cid);
+  return { unpinned, ...blocks };
+};
+
+/**
+ * Take content down: invalidate its tokens and end its retention.
+ * Content no author pins is also denylisted and purged, content an author pins (under either CID version) stays pinned and served
+ * @param {string} cid - Root CID
+ * @returns {Promise<{denied: boolean, unpinned: boolean, removed: number, kept: number}>}
+ */
+const deleteContent = async (cid) => {
+  const key = denyKey(cid);
+  for (const [hash, record] of Array.from(tokensMap.entries())) {
+    if (denyKey(record.cid) === key) tokenJournal.del(hash);
+  }
+  forgetUpload(cid);
+
+  const references = countAuthorReferences(cid);
+  if (references > 0) {
+    console.log(`[DELETE] CONTENT_RELEASED cid=${cid} author_references=${references}`);
+    return { denied: false, unpinned: false, removed: 0, kept: 0 };
+  }
+
+  denyJournal.put(key, { cid, deleted_at: Date.now() });
+  appendKuboRule(`/ipfs/${key}`);
+  const result = await purgeContent(cid);
+  console.log(`[DELETE] CONTENT_DELETED cid=${cid} unpinned=${result.unpinned} blocks_removed=${result.removed} blocks_kept=${result.kept}`);
+  return { denied: true, ...result };
+};
+
+/**
+ * Forget tokens whose upload is no longer retained and whose lifetime has passed
+ * @returns {number} - Number of expired tokens
+ */
+const sweepExpiredDeletionTokens = () => {
+  let expired = 0;
+  for (const [hash, record] of Array.from(tokensMap.entries())) {
+    if (isTokenLive(record)) continue;
+    tokenJournal.del(hash);
+    expired++;
+  }
+  return expired;
+};
+
+module.exports = {
+  issueDeletionToken,
+  isFirstUpload,
+  findDeletionToken,
+  isDenied,
+  allowContent,
+  deletedContentError,
+  purgeContent,
+  deleteContent,
+  sweepExpiredDeletionTokens,
+};
@@ -0,0 +1,98 @@
+// Server-side encryption for /upload?encrypt=true
+// The key is generated per upload, handed back only inside the share link's #fragment and never logged or stored
+//
+// Envelope (all integers big-endian):
+//   header   magic "OENC" (4) | version 0x01 (1) | chunk size in bytes (4) | nonce prefix (8)
+//   chunks   AES-256-GCM ciphertext of each plaintext chunk followed by its 16-byte tag
+// Every chunk holds exactly `chunk size` plaintext bytes except the last, which holds 0..chunk size bytes
+// (an empty file is one empty final chunk). Chunk i uses nonce = prefix | uint32(i) and additional data of
+// one byte, 0x01 on the final chunk and 0x00 otherwise, so reordered or truncated files fail to decrypt
+const crypto = require("crypto");
+const { Transform } = require("stream");
+
+const MAGIC = Buffer.from("OENC", "latin1");
+const VERSION = 1;
+const HEADER_SIZE = 17;
+const TAG_SIZE = 16;
+const CHUNK_SIZE = 64 * 1024;
+
+const generateKey = () => crypto.randomBytes(32);
+
+const encryptChunk = (key, prefix, index, plaintext, final) => {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, 8);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, nonce);
+  cipher.setAAD(Buffer.from([final ? 1 : 0]));
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+/**
+ * Transform stream that turns plaintext into the chunked envelope
+ * A chunk is only sealed once more data follows it, so the last one can be flagged as final in flush()
+ * @param {Buffer} key - 32-byte AES key
+ * @param {number} [chunkSize] - Plaintext bytes per chunk
+ * @returns {Transform}
+ */
+const createEncryptStream = (key, chunkSize = CHUNK_SIZE) => {
+  const prefix = crypto.randomBytes(8);
+  let pending = Buffer.alloc(0);
+  let index = 0;
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header.writeUInt8(VERSION, 4);
+  header.writeUInt32BE(chunkSize, 5);
+  prefix.copy(header, 9);
+
+  return new Transform({
+    construct(callback) {
+      this.push(header);
+      callback();
+    },
+    transform(chunk, encoding, callback) {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      while (pending.length > chunkSize) {
+        this.push(encryptChunk(key, prefix, index++, pending.subarray(0, chunkSize), false));
+        pending = pending.subarray(chunkSize);
+      }
+      callback();
+    },
+    flush(callback) {
+      this.push(encryptChunk(key, prefix, index, pending, true));
+      pending = Buffer.alloc(0);
+      callback();
+    },
+  });
+};
+
+/**
+ * Size of the envelope for a plaintext of the given size
+ * @param {number} size - Plaintext bytes
+ * @param {number} [chunkSize] - Plaintext bytes per chunk
+ * @returns {number}
+ */
+const encryptedSize = (size, chunkSize = CHUNK_SIZE) => HEADER_SIZE + size + TAG_SIZE * Math.max(1, Math.ceil(size / chunkSize));
+
+/**
+ * Build the decrypt viewer link; everything after "#" stays in the browser
+ * @param {string} viewerUrl - Absolute URL of decrypt.html
+ * @param {{cid: string, key: Buffer, filename?: string, mimeType?: string, url?: string}} share
+ * @returns {string}
+ */
+const buildShareUrl = (viewerUrl, { cid, key, filename, mimeType, url }) => {
+  const params = new URLSearchParams({ cid, key: key.toString("base64url") });
+  if (filename) params.set("name", filename);
+  if (mimeType) params.set("type", mimeType);
+  if (url) params.set("u", url);
+  return `${viewerUrl}#${params.toString()}`;
+};
+
+module.exports = {
+  CHUNK_SIZE,
+  generateKey,
+  createEncryptStream,
+  encryptedSize,
+  buildShareUrl,
+};
@@ -0,0 +1,226 @@
+// Content-type sniffing and the operator's per-endpoint type policy
+// The type of an upload is read from its first bytes (file signatures, then the WHATWG markup patterns browsers
+// and Kubo's gateway use), so renaming page.html to page.png no longer changes what the node accepts
+const fs = require("fs");
+const { TYPE_POLICY, REJECT_TYPE_MISMATCH } = require("./config");
+
+const SNIFF_LENGTH = 4096;
+
+// Claims that say nothing about the content
+const GENERIC_TYPES = ["application/octet-stream", "binary/octet-stream", "application/unknown"];
+
+const startsWith = (head, bytes, offset = 0) => head.length >= offset + bytes.length
+  && bytes.every((byte, i) => head[offset + i] === byte);
+
+const hasText = (head, text, offset = 0) => head.toString("latin1", offset, offset + text.length) === text;
+
+// Control characters that never appear in text (same set as Go's http.DetectContentType)
+const isBinary = (head) => head.some((byte) => byte <= 0x08 || byte === 0x0b || (byte >= 0x0e && byte <= 0x1a) || (byte >= 0x1c && byte <= 0x1f));
+
+// Printable magic numbers only count when binary data follows, a text file may well start with "MZ" or "OTTO"
+const hasMagic = (head, text) => hasText(head, text) && isBinary(head);
+
+// ISO base media (MP4, MOV, HEIC, AVIF): the major brand after "ftyp" picks the type
+const ISO_MEDIA_BRANDS = {
+  "qt  ": "video/quicktime",
+  "M4A ": "audio/mp4",
+  "M4V ": "video/x-m4v",
+  avif: "image/avif",
+  avis: "image/avif",
+  heic: "image/heic",
+  heix: "image/heic",
+  hevc: "image/heic",
+  mif1: "image/heif",
+  msf1: "image/heif",
+};
+
+const isoMediaType = (head) => {
+  const brand = head.toString("latin1", 8, 12);
+  if (ISO_MEDIA_BRANDS[brand]) return ISO_MEDIA_BRANDS[brand];
+  if (brand.startsWith("3g2")) return "video/3gpp2";
+  if (brand.startsWith("3gp")) return "video/3gpp";
+  return "video/mp4";
+};
+
+// Binary formats recognised by their signature
+// match(head) returns the detected type; claims are the types a file of this format may be named as
+const SIGNATURES = [
+  { match: (h) => startsWith(h, [0xff, 0xd8, 0xff]) && "image/jpeg", claims: ["image/jpeg", "image/pjpeg"] },
+  { match: (h) => startsWith(h, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) && "image/png", claims: ["image/png", "image/apng"] },
+  { match: (h) => (hasMagic(h, "GIF87a") || hasMagic(h, "GIF89a")) && "image/gif", claims: ["image/gif"] },
+  { match: (h) => hasText(h, "RIFF") && hasText(h, "WEBP", 8) && "image/webp", claims: ["image/webp"] },
+  { match: (h) => hasMagic(h, "BM") && h.length >= 18 && [12, 40, 52, 56, 108, 124].includes(h.readUInt32LE(14)) && "image/bmp", claims: ["image/bmp", "image/x-ms-bmp"] },
+  { match: (h) => (startsWith(h, [0x49, 0x49, 0x2a, 0x00]) || startsWith(h, [0x4d, 0x4d, 0x00, 0x2a])) && "image/tiff", claims: ["image/tiff", "image/x-adobe-dng"] },
+  { match: (h) => (startsWith(h, [0x00, 0x00, 0x01, 0x00]) || startsWith(h, [0x00, 0x00, 0x02, 0x00])) && "image/vnd.microsoft.icon", claims: ["image/vnd.microsoft.icon", "image/x-icon"] },
+  { match: (h) => hasMagic(h, "8BPS") && "image/vnd.adobe.photoshop", claims: ["image/vnd.adobe.photoshop"] },
+  { match: (h) => (startsWith(h, [0xff, 0x0a]) || startsWith(h, [0x00, 0x00, 0x00, 0x0c, 0x4a, 0x58, 0x4c, 0x20])) && "image/jxl", claims: ["image/jxl"] },
+  { match: (h) => hasText(h, "ftyp", 4) && isoMediaType(h), claims: ["video/mp4", "audio/mp4", "video/x-m4v", "audio/x-m4a", "video/quicktime", "video/3gpp", "video/3gpp2", "image/heic", "image/heif", "image/avif"] },
+  { match: (h) => startsWith(h, [0x1a, 0x45, 0xdf, 0xa3]) && (h.includes("webm", 0, "latin1") ? "video/webm" : "video/x-matroska"), claims: ["video/webm", "audio/webm", "video/x-matroska", "audio/x-matroska"] },
+  { match: (h) => hasText(h, "RIFF") && hasText(h, "AVI ", 8) && "video/x-msvideo", claims: ["video/x-msvideo", "video/avi"] },
+  { match: (h) => (startsWith(h, [0x00, 0x00, 0x01, 0xba]) || startsWith(h, [0x00, 0x00, 0x01, 0xb3])) && "video/mpeg", claims: ["video/mpeg"] },
+  { match: (h) => hasMagic(h, "FLV\x01") && "video/x-flv", claims: ["video/x-flv"] },
+  { match: (h) => hasText(h, "RIFF") && hasText(h, "WAVE", 8) && "audio/wav", claims: ["audio/wav", "audio/wave", "audio/x-wav", "audio/vnd.wave"] },
+  { match: (h) => hasText(h, "FORM") && (hasText(h, "AIFF", 8) || hasText(h, "AIFC", 8)) && "audio/aiff", claims: ["audio/aiff", "audio/x-aiff"] },
+  { match: (h) => hasMagic(h, "OggS") && "audio/ogg", claims: ["audio/ogg", "video/ogg", "application/ogg", "audio/opus"] },
+  { match: (h) => hasMagic(h, "fLaC") && "audio/flac", claims: ["audio/flac", "audio/x-flac"] },
+  { match: (h) => hasMagic(h, "MThd") && "audio/midi", claims: ["audio/midi", "audio/x-midi"] },
+  // ADTS (AAC) and MPEG audio frames share the sync word, the layer bits tell them apart
+  { match: (h) => h.length >= 2 && h[0] === 0xff && (h[1] & 0xf6) === 0xf0 && "audio/aac", claims: ["audio/aac", "audio/x-aac"] },
+  { match: (h) => (hasMagic(h, "ID3") || (h.length >= 2 && h[0] === 0xff && (h[1] & 0xe0) === 0xe0 && (h[1] & 0x06) !== 0)) && "audio/mpeg", claims: ["audio/mpeg", "audio/mp3"] },
+  { match: (h) => hasText(h, "%PDF-") && "application/pdf", claims: ["application/pdf", "application/postscript"] }, // Illustrator files are PDFs
+  { match: (h) => hasText(h, "%!PS") && "application/postscript", claims: ["application/postscript"] },
+  { match: (h) => hasText(h, "{\\rtf") && "application/rtf", claims: ["application/rtf", "text/rtf"] },
+  {
+    match: (h) => startsWith(h, [0x50, 0x4b]) && (startsWith(h, [0x03, 0x04], 2) || startsWith(h, [0x05, 0x06], 2)) && "application/zip",
+    // Office, OpenDocument, EPUB, Java and Android packages are zip files
+    claims: [
+      "application/zip",
+      "application/x-zip-compressed",
+      "application/*+zip",
+      "application/vnd.openxmlformats-officedocument.*",
+      "application/vnd.oasis.opendocument.*",
+      "application/vnd.ms-*",
+      "application/java-archive",
+      "application/vnd.android.package-archive",
+      "application/x-xpinstall",
+      "application/vnd.google-earth.kmz",
+    ],
+  },
+  // Compound File Binary: legacy Office documents and MSI installers
+  { match: (h) => startsWith(h, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) && "application/x-cfb", claims: ["application/x-cfb", "application/msword", "application/vnd.ms-*", "application/x-msdownload", "application/x-ole-storage"] },
+  { match: (h) => startsWith(h, [0x1f, 0x8b]) && "application/gzip", claims: ["application/gzip", "application/x-gzip"] },
+  { match: (h) => hasText(h, "ustar", 257) && "application/x-tar", claims: ["application/x-tar"] },
+  { match: (h) => startsWith(h, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) && "application/x-7z-compressed", claims: ["application/x-7z-compressed"] },
+  { match: (h) => hasText(h, "Rar!\x1a\x07") && "application/vnd.rar", claims: ["application/vnd.rar", "application/x-rar-compressed"] },
+  { match: (h) => hasMagic(h, "BZh") && h.length >= 4 && h[3] >= 0x31 && h[3] <= 0x39 && "application/x-bzip2", claims: ["application/x-bzip2"] },
+  { match: (h) => startsWith(h, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]) && "application/x-xz", claims: ["application/x-xz"] },
+  { match: (h) => startsWith(h, [0x28, 0xb5, 0x2f, 0xfd]) && "application/zstd", claims: ["application/zstd"] },
+  { match: (h) => hasText(h, "SQLite format 3\0") && "application/vnd.sqlite3", claims: ["application/vnd.sqlite3", "application/x-sqlite3"] },
+  { match: (h) => startsWith(h, [0x00, 0x61, 0x73, 0x6d]) && "application/wasm", claims: ["application/wasm"] },
+  { match: (h) => hasMagic(h, "MZ") && "application/x-msdownload", claims: ["application/x-msdownload", "application/x-msdos-program", "application/vnd.microsoft.portable-executable", "application/x-dosexec"] },
+  { match: (h) => startsWith(h, [0x7f, 0x45, 0x4c, 0x46]) && "application/x-executable", claims: ["application/x-executable", "application/x-elf", "application/x-sharedlib"] },
+  { match: (h) => startsWith(h, [0x00, 0x01, 0x00, 0x00, 0x00]) && "font/ttf", claims: ["font/ttf", "font/sfnt", "application/x-font-ttf", "application/font-sfnt"] },
+  { match: (h) => hasMagic(h, "OTTO") && "font/otf", claims: ["font/otf", "font/sfnt", "application/x-font-otf"] },
+  { match: (h) => hasMagic(h, "ttcf") && "font/collection", claims: ["font/collection"] },
+  { match: (h) => hasMagic(h, "wOFF") && "font/woff", claims: ["font/woff", "application/font-woff"] },
+  { match: (h) => hasMagic(h, "wOF2") && "font/woff2", claims: ["font/woff2"] },
+];
+
+// Markup that browsers render as a document when they sniff (WHATWG MIME sniffing, "<tag" then space or ">")
+const HTML_PATTERNS = ["<!doctype html", "<html", "<head", "<script", "<iframe", "<h1", "<div", "<font", "<table", "<a", "<style", "<title", "<b", "<body", "<br", "<p", "<!--"];
+
+const sniffMarkup = (head) => {
+  let start = startsWith(head, [0xef, 0xbb, 0xbf]) ? 3 : 0;
+  while (start < head.length && [0x09, 0x0a, 0x0c, 0x0d, 0x20].includes(head[start])) start++;
+
+  const text = head.toString("latin1", start).toLowerCase();
+  const isTag = (tag) => text.startsWith(tag) && /[\s>]/.test(text[tag.length] || "");
+
+  if (text.startsWith("<?xml")) {
+    if (text.includes("<svg")) return "image/svg+xml";
+    if (text.includes("<html")) return "application/xhtml+xml";
+    return "application/xml";
+  }
+  if (isTag("<svg") || text.startsWith("<!doctype svg")) return "image/svg+xml";
+  if (HTML_PATTERNS.some(isTag)) return "text/html";
+  return null;
+};
+
+/**
+ * Detect a file's type from its first bytes
+ * @param {Buffer} head - Up to SNIFF_LENGTH bytes from the start of the file
+ * @returns {{type: string, signature: object|null}|null} - null for empty files and binary data without a known signature
+ */
+const sniffType = (head) => {
+  if (!head || !head.length) return null;
+
+  // UTF-16 text is full of zero bytes, and its byte order mark looks like an MPEG audio frame
+  if (startsWith(head, [0xfe, 0xff]) || startsWith(head, [0xff, 0xfe])) return { type: "text/plain", signature: null };
+
+  for (const signature of SIGNATURES) {
+    const type = signature.match(head);
+    if (type) return { type, signature };
+  }
+
+  if (isBinary(head)) return null;
+  return { type: sniffMarkup(head) || "text/plain", signature: null };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Type patterns may use "*" as a wildcard ("image/*", "application/vnd.ms-*")
+const matchesType = (pattern, type) => new RegExp(`^${pattern.split("*").map(escapeRegExp).join(".*")}$`).test(type);
+
+// The claim names a format with a signature, so the content has to carry it
+const isSignatureType = (type) => SIGNATURES.some((signature) => signature.claims.some((pattern) => matchesType(pattern, type)));
+
+const typeError = (message, { detectedType, claimedType, name }) => {
+  const error = new Error(name ? `${name}: ${message}` : message);
+  error.code = "UNSUPPORTED_TYPE";
+  error.status = 415;
+  error.detectedType = detectedType;
+  error.claimedType = claimedType;
+  if (name) error.path = name;
+  return error;
+};
+
+const isAllowed = (policy, type) => (!policy.allow.length || policy.allow.some((pattern) => matchesType(pattern, type)))
+  && !policy.deny.some((pattern) => matchesType(pattern, type));
+
+/**
+ * Check a file against the content-type policy of an endpoint
+ * @param {"upload"|"zip"|"remote"} scope - Which TYPE_POLICY lists apply
+ * @param {Buffer} head - First bytes of the file
+ * @param {string} [claimedType] - Type from the file extension or the declared Content-Type
+ * @param {string} [name] - File path named in errors (archive and folder entries)
+ * @returns {{type: string, detectedType: string}} - Type to store the file under, and the sniffed type
+ * @throws {Error} 415 (code UNSUPPORTED_TYPE) when the type is not allowed or contradicts the claim
+ */
+const checkFileType = (scope, head, claimedType, name) => {
+  const claim = claimedType && !GENERIC_TYPES.includes(claimedType.toLowerCase()) ? claimedType.toLowerCase() : null;
+  const sniffed = sniffType(head);
+  const detectedType = sniffed ? sniffed.type : "application/octet-stream";
+
+  // Text and unknown content can be named anything, except a format that has a signature of its own
+  // An empty file has nothing to contradict its name with
+  const mismatch = Boolean(claim) && head.length > 0 && (sniffed && sniffed.signature
+    ? !sniffed.signature.claims.some((pattern) => matchesType(pattern, claim))
+    : isSignatureType(claim));
+
+  if (mismatch && REJECT_TYPE_MISMATCH) {
+    throw typeError(`File content is ${detectedType}, which does not match ${claim}`, { detectedType, claimedType: claim, name });
+  }
+
+  // The claim is kept when it agrees with the content, it is usually more specific (a .docx is sniffed as a zip)
+  const type = claim || detectedType;
+  const checked = mismatch ? [detectedType, claim] : [type];
+  const rejected = checked.find((candidate) => !isAllowed(TYPE_POLICY[scope], candidate));
+  if (rejected) {
+    throw typeError(`${rejected} files are not accepted here`, { detectedType, claimedType: claim, name });
+  }
+
+  return { type, detectedType };
+};
+
+const readHead = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SNIFF_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_LENGTH, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * checkFileType for a file on disk
+ * @returns {Promise<{type: string, detectedType: string}>}
+ */
+const checkFileTypeAt = async (scope, filePath, claimedType, name) => checkFileType(scope, await readHead(filePath), claimedType, name);
+
+module.exports = {
+  SNIFF_LENGTH,
+  checkFileType,
+  checkFileTypeAt,
+};
@@ -1,5 +1,7 @@
 const fs = require("fs");
 const path = require("path");
+const { SUBDOMAIN_GATEWAY } = require("./config");
+const { toCidV1 } = require("./cid");
 
 const GATEWAY_TEST_CID = "QmV2ZAJVPafPNhKjorD2v9ZnfENYDC5Be5gTKiymaCMmeN";
 const GATEWAYS_PATH = path.join(__dirname, "../gateways.json");
@@ -119,8 +121,22 @@ const getGatewayUrl = async (cid, filename) => {
   return url;
 };
 
+/**
+ * Subdomain gateway URL of a CID (https://<cidv1>.ipfs.<host>/)
+ * @param {string} cid - CIDv0 or CIDv1
+ * @returns {string|null} - null when the CIDv1 does not fit a 63 character DNS label
+ */
+const getSubdomainUrl = (cid) => {
+  const label = toCidV1(cid);
+  if (!label || label.length > 63) return null;
+
+  const { protocol, host } = new URL(SUBDOMAIN_GATEWAY);
+  return `${protocol}//${label}.ipfs.${host}/`;
+};
+
 module.exports = {
   refreshGateways,
   getGatewayUrl,
+  getSubdomainUrl,
   getSelectedGateway,
 };
@@ -1,6 +1,9 @@
 // IPFS-related helper functions (Node.js, axios-based)
+const fs = require("fs");
 const axios = require("axios");
+const FormData = require("form-data");
 const { IPFS_API } = require("./config");
+const { toAddQuery } = require("./addoptions");
 
 const axiosRequest = async (config, timeoutMs = 10000) => {
   const res = await axios({
@@ -44,6 +47,20 @@ const fetchJson = async (url, options = {}, timeoutMs = 10000) => {
   return res.data;
 };
 
+/**
+ * Get the number of connected swarm peers
+ * @returns {Promise<number>} - Peer count (0 when unavailable)
+ */
+const getPeerCount = async () => {
+  try {
+    const peersResponse = await fetchJson(`${IPFS_API}/api/v0/swarm/peers`, { method: "POST" }, 3000);
+    return peersResponse.Peers?.length || 0;
+  } catch (err) {
+    console.warn(`[IPFS-API] Failed to get peer count: ${err.message}`);
+    return 0;
+  }
+};
+
 /**
  * Check if a CID is pinned in IPFS
  * @param {string} cid - The CID to check
@@ -60,6 +77,72 @@ const isPinned = async (cid) => {
   }
 };
 
+/**
+ * Check whether the complete DAG of a CID is stored on this node, without fetching from the network
+ * @param {string} cid - The CID to check
+ * @returns {Promise<{local: boolean, size: number|null}>} - size is the file size Kubo reports for the root
+ */
+const getLocalPresence = async (cid) => {
+  try {
+    const endpoint = `${IPFS_API}/api/v0/files/stat?arg=/ipfs/${encodeURIComponent(cid)}&with-local=true&offline=true`;
+    const data = await fetchJson(endpoint, { method: "POST" }, 10000);
+    return { local: Boolean(data.Local), size: typeof data.Size === "number" ? data.Size : null };
+  } catch (err) {
+    // Missing root block (or invalid CID) means it is not stored here
+    return { local: false, size: null };
+  }
+};
+
+/**
+ * Remove the blocks of a DAG from the local repo
+ * Kubo refuses to remove blocks that a pin still holds (directly or through another DAG), those are kept
+ * @param {string} cid - Root CID
+ * @returns {Promise<{removed: number, kept: number}>}
+ */
+const removeDagBlocks = async (cid) => {
+  // Only blocks stored here are listed; a partial DAG lists what it has
+  const blocks = [cid];
+  try {
+    const endpoint = `${IPFS_API}/api/v0/refs?arg=${encodeURIComponent(cid)}&recursive=true&unique=true&offline=true`;
+    const response = await axiosRequest({ url: endpoint, method: "POST", responseType: "text" }, 60000);
+    String(response.data).split("\n").forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const ref = JSON.parse(line);
+        if (ref.Ref && !ref.Err) blocks.push(ref.Ref);
+      } catch {
+        // Ignore partial lines
+      }
+    });
+  } catch (err) {
+    console.warn(`[IPFS-API] Failed to list blocks of ${cid}: ${err.message}`);
+  }
+
+  let removed = 0;
+  for (let i = 0; i < blocks.length; i += 100) {
+    const args = blocks.slice(i, i + 100).map((block) => `arg=${encodeURIComponent(block)}`).join("&");
+    try {
+      const response = await axiosRequest({
+        url: `${IPFS_API}/api/v0/block/rm?${args}`,
+        method: "POST",
+        responseType: "text",
+      }, 60000);
+      String(response.data).split("\n").forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          if (!JSON.parse(line).Error) removed++;
+        } catch {
+          // Ignore partial lines
+        }
+      });
+    } catch (err) {
+      console.warn(`[IPFS-API] Failed to remove blocks of ${cid}: ${err.message}`);
+    }
+  }
+
+  return { removed, kept: blocks.length - removed };
+};
+
 /**
  * Unpin a CID in IPFS
  * @param {string} cid - The CID to unpin
@@ -76,74 +159,248 @@ const unpinCid = async (cid) => {
   }
 };
 
+// Error for a non-2xx streamed response, with the start of its body
+const readStreamError = async (res) => {
+  let text = "";
+  for await (const chunk of res.data) {
+    text += chunk.toString("utf8");
+    if (text.length > 4096) break;
+  }
+  res.data.destroy();
+  const error = new Error(`HTTP ${res.status} ${res.statusText}${text ? `: ${text.trim()}` : ""}`);
+  error.status = res.status;
+  return error;
+};
+
+// Feed every JSON line of a streamed (progress=true) Kubo response to onMessage; resolves once the stream ends
+const readJsonLines = (stream, onMessage) => new Promise((resolve, reject) => {
+  let buffered = "";
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return;
+    }
+    onMessage(message);
+  };
+
+  stream.on("data", (chunk) => {
+    buffered += chunk.toString("utf8");
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    lines.forEach(handleLine);
+  });
+
+  stream.on("error", reject);
+  stream.on("end", () => {
+    handleLine(buffered);
+    resolve();
+  });
+});
+
 /**
- * Pin a CID in IPFS using API (fire-and-forget, non-blocking)
+ * Pin a CID in IPFS and wait for completion, reporting block progress
  * @param {string} cid - The CID to pin
- * @returns {Promise<{success: boolean, size: number, message: string, alreadyPinned: boolean, pending: boolean}>}
+ * @param {(blocks: number) => void} [onProgress] - Called with the number of blocks fetched so far
+ * @param {number} [timeoutMs] - Overall timeout for the pin request
+ * @returns {Promise<{blocks: number}>} - Resolves when Kubo reports the pin, rejects on error
  */
-const pinCid = async (cid) => {
-  try {
-    // Check if already pinned first (most efficient check)
-    const alreadyPinned = await isPinned(cid);
-    if (alreadyPinned) {
-      const size = await getCidSize(cid);
-      const sizeMB = (size / 1024 / 1024).toFixed(2);
-      return {
-        success: true,
-        size,
-        message: `Already pinned (${sizeMB} MB)`,
-        alreadyPinned: true,
-        pending: false,
-      };
+const pinCidWithProgress = async (cid, onProgress, timeoutMs = 3 * 60 * 60 * 1000) => {
+  const endpoint = `${IPFS_API}/api/v0/pin/add?arg=${encodeURIComponent(cid)}&recursive=true&progress=true`;
+  const res = await axios({
+    url: endpoint,
+    method: "POST",
+    responseType: "stream",
+    timeout: timeoutMs,
+    validateStatus: () => true,
+  });
+
+  if (res.status < 200 || res.status >= 300) {
+    throw await readStreamError(res);
+  }
+
+  let blocks = 0;
+  let pinned = false;
+  let streamError = null;
+
+  await readJsonLines(res.data, (message) => {
+    if (message.Type === "error" || (message.Message && !message.Pins)) {
+      streamError = new Error(message.Message || "Pin failed");
+    } else if (Array.isArray(message.Pins)) {
+      pinned = true;
+    } else if (typeof message.Progress === "number") {
+      blocks = message.Progress;
+      if (onProgress) onProgress(blocks);
     }
+  });
 
-    // Get peer count before pinning
-    let peerCount = 0;
-    try {
-      const peersResponse = await fetchJson(`${IPFS_API}/api/v0/swarm/peers`, { method: "POST" }, 3000);
-      peerCount = peersResponse.Peers?.length || 0;
-    } catch (err) {
-      console.warn(`[IPFS-API] Failed to get peer count: ${err.message}`);
+  const trailerError = res.headers["x-stream-error"];
+  if (streamError || trailerError) {
+    throw streamError || new Error(trailerError);
+  }
+  if (!pinned) {
+    throw new Error("Pin stream ended without confirmation");
+  }
+  return { blocks };
+};
+
+/**
+ * Add a file to IPFS
+ * @param {string|import("stream").Readable} source - Path of the file to add, or a stream of its contents
+ * @param {{filename: string, contentType?: string, pin?: boolean, onlyHash?: boolean, addOptions?: object, signal?: AbortSignal, onProgress?: (bytes: number) => void}} options
+ *   onlyHash computes the CID with the given import settings without storing anything, signal cancels the add,
+ *   onProgress is called with the bytes Kubo has added so far
+ * @returns {Promise<object>} - Kubo add response ({Name, Hash, Size})
+ */
+const addFile = async (source, { filename, contentType, pin = false, onlyHash = false, addOptions, signal, onProgress }) => {
+  const formData = new FormData();
+  formData.append("file", typeof source === "string" ? fs.createReadStream(source) : source, {
+    filename,
+    contentType: contentType || "application/octet-stream",
+  });
+
+  const url = `${IPFS_API}/api/v0/add?pin=${pin}${onlyHash ? "&only-hash=true" : ""}${toAddQuery(addOptions)}`;
+
+  if (!onProgress) {
+    const response = await axiosRequest({
+      url,
+      method: "POST",
+      data: formData,
+      headers: formData.getHeaders(),
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      signal,
+    }, 3600000);
+
+    return response.data;
+  }
+
+  const res = await axios({
+    url: `${url}&progress=true`,
+    method: "POST",
+    data: formData,
+    headers: formData.getHeaders(),
+    responseType: "stream",
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    timeout: 3600000,
+    validateStatus: () => true,
+    signal,
+  });
+
+  if (res.status < 200 || res.status >= 300) {
+    throw await readStreamError(res);
+  }
+
+  let added = null;
+  let streamError = null;
+
+  await readJsonLines(res.data, (message) => {
+    if (message.Type === "error") {
+      streamError = new Error(message.Message || "Add failed");
+    } else if (message.Hash) {
+      added = message;
+    } else if (typeof message.Bytes === "number") {
+      onProgress(message.Bytes);
     }
+  });
 
-    console.log(`[IPFS-API] PIN_STARTING cid=${cid} mode=fire_and_forget peers=${peerCount}`);
-    console.log(`[IPFS] Trying to fetch CID ${cid.slice(0, 12)}..., using ${peerCount} peers`);
+  const trailerError = res.headers["x-stream-error"];
+  if (streamError || trailerError) {
+    throw streamError || new Error(trailerError);
+  }
+  if (!added) {
+    throw new Error("Add stream ended without a CID");
+  }
+  return added;
+};
 
-    // Fire-and-forget: Start pin in background without waiting
-    const endpoint = `${IPFS_API}/api/v0/pin/add?arg=${encodeURIComponent(cid)}&recursive=true`;
+/**
+ * Import the blocks of a CAR file (CARv1 or CARv2) into the local repo
+ * Kubo only reports roots when it pins them, a root whose DAG is incomplete comes back with a PinErrorMsg
+ * @param {string} filePath - CAR file on disk
+ * @param {{pin?: boolean}} [options] - pin pins every root the CAR header declares
+ * @returns {Promise<{roots: Array<{cid: string, pinError: string|null}>, blocks: number, bytes: number}>}
+ */
+const importCar = async (filePath, { pin = false } = {}) => {
+  const formData = new FormData();
+  formData.append("file", fs.createReadStream(filePath), { filename: "upload.car", contentType: "application/vnd.ipld.car" });
 
-    // Start the pin operation but don't await it (cap body size to avoid buffer growth)
-    axiosRequest({ url: endpoint, method: "POST" }, 3 * 60 * 60 * 1000)
-      .then((res) => {
-        const data = res.data;
-        if (data && data.Pins) {
-          console.log(`[IPFS-API] PIN_COMPLETED cid=${cid}`);
-        } else {
-          console.error(`[IPFS-API] PIN_FAILED cid=${cid} no_pins_in_response`);
-        }
-      })
-      .catch((err) => {
-        console.error(`[IPFS-API] PIN_ERROR cid=${cid} error="${err.message}"`);
-      });
+  const response = await axiosRequest({
+    url: `${IPFS_API}/api/v0/dag/import?pin-roots=${pin}&stats=true`,
+    method: "POST",
+    data: formData,
+    headers: formData.getHeaders(),
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    responseType: "text",
+  }, 3600000);
+
+  const trailerError = response.headers["x-stream-error"];
+  if (trailerError) throw new Error(trailerError);
+
+  const result = { roots: [], blocks: 0, bytes: 0 };
+  String(response.data).split("\n").forEach((line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return;
+    }
+    if (message.Root && message.Root.Cid) {
+      result.roots.push({ cid: message.Root.Cid["/"], pinError: message.Root.PinErrorMsg || null });
+    } else if (message.Stats) {
+      result.blocks = message.Stats.BlockCount || 0;
+      result.bytes = message.Stats.BlockBytesCount || 0;
+    }
+  });
+  return result;
+};
 
-    // Return immediately - pin is now running in background
-    return {
-      success: false,
-      pending: true,
-      size: 0,
-      message: "Pin started in background",
-      alreadyPinned: false,
-    };
+/**
+ * Measure a DAG from local blocks only, which also proves every block is stored here
+ * @param {string} cid - Root CID (any codec, not just UnixFS)
+ * @returns {Promise<{size: number, blocks: number}|null>} - null when a block is missing or the CID is invalid
+ * @throws {Error} When Kubo cannot be reached
+ */
+const getDagStat = async (cid) => {
+  try {
+    const endpoint = `${IPFS_API}/api/v0/dag/stat?arg=${encodeURIComponent(cid)}&progress=false&offline=true`;
+    const data = await fetchJson(endpoint, { method: "POST" }, 60000);
+    // Kubo 0.27+ answers {TotalSize, DagStats: [{Size, NumBlocks}]}, older releases {Size, NumBlocks}
+    const stat = Array.isArray(data.DagStats) && data.DagStats.length ? data.DagStats[0] : data;
+    return { size: stat.Size || 0, blocks: stat.NumBlocks || 0 };
   } catch (err) {
-    console.error(`[IPFS-API] PIN_CHECK_ERROR cid=${cid} error="${err.message}"`);
-    return {
-      success: false,
-      pending: false,
-      size: 0,
-      message: err.message || "Pin check failed",
-      alreadyPinned: false,
-    };
+    if (err.status) return null;
+    throw err;
+  }
+};
+
+/**
+ * Stream a DAG as a CARv1 from local blocks
+ * @param {string} cid - Root CID
+ * @param {AbortSignal} [signal] - Cancels the export
+ * @returns {Promise<import("stream").Readable>} - CAR bytes; a block that goes missing mid-export errors the stream
+ */
+const exportCar = async (cid, signal) => {
+  const res = await axios({
+    url: `${IPFS_API}/api/v0/dag/export?arg=${encodeURIComponent(cid)}&offline=true`,
+    method: "POST",
+    responseType: "stream",
+    timeout: 0,
+    validateStatus: () => true,
+    signal,
+  });
+
+  if (res.status < 200 || res.status >= 300) {
+    throw await readStreamError(res);
   }
+  return res.data;
 };
 
 /**
@@ -174,6 +431,15 @@ const getCidSize = async (cid) => {
   }
 };
 
+/**
+ * List every recursively pinned CID in Kubo
+ * @returns {Promise<Set<string>>} - Set of pinned CIDs (throws if Kubo is unreachable)
+ */
+const listPinnedCids = async () => {
+  const pinResponse = await fetchJson(`${IPFS_API}/api/v0/pin/ls?type=recursive`, { method: "POST" }, 60000);
+  return new Set(Object.keys(pinResponse.Keys || {}));
+};
+
 // Get total size of pinned content
 const getPinnedSize = async () => {
   try {
@@ -241,10 +507,18 @@ const getIPFSStats = async () => {
 };
 
 module.exports = {
+  addFile,
+  importCar,
+  exportCar,
+  getDagStat,
   isPinned,
-  pinCid,
+  getLocalPresence,
+  pinCidWithProgress,
+  removeDagBlocks,
   getCidSize,
+  getPeerCount,
   getPinnedSize,
+  listPinnedCids,
   checkIPFSHealth,
   getIPFSStats,
   unpinCid,
@@ -1 +1,204 @@
-// Deprecated: pinner job removed to simplify the app.
+// Background jobs for remote uploads (POST /remoteupload?async=true)
+// A bounded worker pool runs jobs in arrival order. A job reports its phase and byte counts while it runs
+// and ends with the response the synchronous request would have sent. Jobs only live in memory.
+// Synchronous remote uploads take a slot of the same pool, so REMOTE_UPLOAD_WORKERS caps all downloads together
+const crypto = require("crypto");
+const { REMOTE_UPLOAD_WORKERS } = require("./config");
+
+const MAX_QUEUED = 1000;
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // Keep finished jobs queryable for 1 hour
+// Result fields handed out once, to the first status request that sees the job done, and never kept with the job
+const ONE_TIME_FIELDS = ["deleteToken"];
+
+const jobs = new Map(); // job id -> job
+const queue = []; // job ids waiting for a worker
+let activeCount = 0; // running jobs and synchronous uploads
+
+const isFinished = (job) => job.state === "done" || job.state === "failed" || job.state === "cancelled";
+
+const pruneFinishedJobs = () => {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  for (const [id, job] of jobs.entries()) {
+    if (job.finishedAt && job.finishedAt < cutoff) {
+      jobs.delete(id);
+    }
+  }
+};
+
+const finishJob = (job, state, { result = null, error = null } = {}) => {
+  job.state = state;
+  job.result = result && { ...result };
+  job.unclaimed = null;
+  for (const field of ONE_TIME_FIELDS) {
+    if (!job.result || job.result[field] === undefined || job.result[field] === null) continue;
+    job.unclaimed = { ...job.unclaimed, [field]: job.result[field] };
+    delete job.result[field];
+  }
+  job.error = error;
+  job.finishedAt = Date.now();
+};
+
+const runJob = async (job) => {
+  job.startedAt = Date.now();
+  const { signal } = job.controller;
+
+  // The runner moves the job out of "queued" itself, reporting the first phase before it awaits anything
+  const update = (progress) => {
+    if (!isFinished(job)) Object.assign(job, progress);
+  };
+
+  let response;
+  try {
+    response = await job.run({ signal, update });
+  } catch (err) {
+    response = { statusCode: 500, body: { error: "Job failed", status: "error", message: err.message } };
+  }
+
+  // A cancel that came too late to stop the upload still reports it
+  if (response.statusCode < 400) {
+    finishJob(job, "done", { result: response.body });
+  } else if (signal.aborted) {
+    finishJob(job, "cancelled");
+  } else {
+    finishJob(job, "failed", { error: { statusCode: response.statusCode, ...response.body } });
+  }
+  console.log(`[JOBS] JOB_FINISHED id=${job.id} type=${job.type} state=${job.state} duration_ms=${job.finishedAt - job.startedAt}`);
+};
+
+const drainQueue = () => {
+  while (activeCount < REMOTE_UPLOAD_WORKERS && queue.length > 0) {
+    const job = jobs.get(queue.shift());
+    if (!job || job.state !== "queued") continue;
+
+    activeCount++;
+    runJob(job).finally(() => {
+      activeCount--;
+      drainQueue();
+    });
+  }
+};
+
+/**
+ * Queue a job
+ * @param {string} type - Job kind, e.g. "remoteupload"
+ * @param {object} details - Public fields shown with the job (sourceUrl, ...)
+ * @param {(context: {signal: AbortSignal, update: (progress: object) => void}) => Promise<{statusCode: number, body: object}>} run
+ *   Does the work; update() sets the state and byte counts, signal is aborted when the job is cancelled
+ * @returns {object|null} - The job, or null when the queue is full
+ */
+const enqueueJob = (type, details, run) => {
+  pruneFinishedJobs();
+  if (queue.length >= MAX_QUEUED) return null;
+
+  const job = {
+    id: crypto.randomBytes(16).toString("hex"),
+    type,
+    details,
+    run,
+    controller: new AbortController(),
+    state: "queued", // queued | downloading | adding | done | failed | cancelled
+    received: 0,
+    total: null,
+    added: 0,
+    result: null,
+    unclaimed: null, // one-time result fields not handed out yet
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job.id);
+  console.log(`[JOBS] JOB_QUEUED id=${job.id} type=${type} queue_length=${queue.length} active=${activeCount}/${REMOTE_UPLOAD_WORKERS}`);
+  drainQueue();
+  return job;
+};
+
+/**
+ * Cancel a job: a queued one is dropped, a running one is aborted and settles shortly after
+ * @param {string} id - Job id
+ * @returns {object|null} - The job, null when it is unknown
+ */
+const cancelJob = (id) => {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return job || null;
+
+  const index = queue.indexOf(id);
+  if (index !== -1) {
+    queue.splice(index, 1);
+    finishJob(job, "cancelled");
+  } else {
+    job.controller.abort(new Error("Job cancelled"));
+  }
+  console.log(`[JOBS] JOB_CANCELLED id=${id} type=${job.type} was_queued=${index !== -1}`);
+  return job;
+};
+
+const getJob = (id) => jobs.get(id) || null;
+
+/**
+ * Take a worker slot for a synchronous upload, queued jobs get freed slots first
+ * @returns {boolean} - False when every worker is busy
+ */
+const acquireWorker = () => {
+  if (activeCount >= REMOTE_UPLOAD_WORKERS || queue.length > 0) return false;
+  activeCount++;
+  return true;
+};
+
+// Give back a slot taken with acquireWorker
+const releaseWorker = () => {
+  activeCount--;
+  drainQueue();
+};
+
+/**
+ * Public view of a job for GET /jobs/:id
+ * @param {object} job - Job from enqueueJob/getJob
+ * @param {{claim?: boolean}} [options] - claim adds the one-time fields (the deletion token) to a done job's result
+ *   and forgets them, so only the first caller sees them
+ * @returns {object}
+ */
+const describeJob = (job, { claim = false } = {}) => {
+  const unclaimed = claim ? job.unclaimed : null;
+  if (unclaimed) {
+    job.unclaimed = null;
+    console.log(`[JOBS] JOB_RESULT_CLAIMED id=${job.id} fields=${Object.keys(unclaimed).join(",")}`);
+  }
+
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    ...job.details,
+    position: job.state === "queued" ? queue.indexOf(job.id) + 1 : null,
+    cancelling: job.controller.signal.aborted && !isFinished(job),
+    progress: {
+      received: job.received,
+      total: job.total,
+      added: job.added,
+    },
+    result: unclaimed ? { ...job.result, ...unclaimed } : job.result,
+    error: job.error,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+  };
+};
+
+const getJobStats = () => ({
+  queued: queue.length,
+  active: activeCount,
+  workers: REMOTE_UPLOAD_WORKERS,
+});
+
+module.exports = {
+  enqueueJob,
+  cancelJob,
+  getJob,
+  acquireWorker,
+  releaseWorker,
+  describeJob,
+  getJobStats,
+};
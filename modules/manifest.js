@@ -0,0 +1,102 @@
+// Signed pin manifests for moving a user's pin set between Originless nodes
+// The manifest digest is signed with the user's Daku (secp256k1) private key
+const crypto = require("crypto");
+const secp = require("@noble/secp256k1");
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_MAX_PINS = 10000;
+
+// JSON with object keys sorted at every level, so both sides hash the same bytes
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * SHA-256 digest of a manifest (hex), the message that gets signed
+ * @param {object} manifest - Manifest object
+ * @returns {string}
+ */
+const digestManifest = (manifest) => crypto.createHash("sha256").update(canonicalJson(manifest)).digest("hex");
+
+/**
+ * Build an unsigned manifest from a user's pin records
+ * @param {string} author - Daku public key (hex)
+ * @param {object[]} pins - Pin records of that author
+ * @returns {{manifest: object, digest: string}}
+ */
+const buildManifest = (author, pins) => {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    author,
+    exportedAt: new Date().toISOString(),
+    pins: pins.map((pin) => ({
+      cid: pin.cid,
+      name: pin.name || null,
+      tags: pin.tags || [],
+      note: pin.note || null,
+      size: pin.size || 0,
+      status: pin.status,
+      created_at: pin.created_at,
+    })),
+  };
+
+  return { manifest, digest: digestManifest(manifest) };
+};
+
+// Daku keys are compressed (33 bytes) or x-only (32 bytes, see npub.js). An x-only key leaves the parity of
+// its point open, so an ECDSA signature is checked against both points with that x coordinate
+const verificationKeys = (userId) => (/^[0-9a-fA-F]{64}$/.test(userId) ? [`02${userId}`, `03${userId}`] : [userId]);
+
+/**
+ * Verify that a manifest was signed by the given Daku key
+ * @param {object} signed - {manifest, signature}
+ * @param {string} userId - Public key (hex, compressed or x-only) of the importing user
+ * @returns {object} - The verified manifest (throws with a user-facing message otherwise)
+ */
+const verifyManifest = (signed, userId) => {
+  const { manifest, signature } = signed || {};
+
+  if (!manifest || typeof manifest !== "object" || manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`manifest must be a version ${MANIFEST_VERSION} pin manifest`);
+  }
+  if (!Array.isArray(manifest.pins)) {
+    throw new Error("manifest.pins must be an array");
+  }
+  if (manifest.pins.length > MANIFEST_MAX_PINS) {
+    throw new Error(`manifest can contain at most ${MANIFEST_MAX_PINS} pins`);
+  }
+  if (manifest.author !== userId) {
+    throw new Error("manifest was exported by a different key");
+  }
+  if (typeof signature !== "string" || !/^[0-9a-fA-F]{128}$/.test(signature)) {
+    throw new Error("signature must be a 64-byte compact secp256k1 signature in hex");
+  }
+
+  const digest = digestManifest(manifest);
+  const valid = verificationKeys(userId).some((key) => {
+    try {
+      return secp.verify(signature, digest, key);
+    } catch {
+      return false;
+    }
+  });
+
+  if (!valid) {
+    throw new Error("manifest signature does not match the importing key");
+  }
+
+  return manifest;
+};
+
+module.exports = {
+  buildManifest,
+  digestManifest,
+  verifyManifest,
+};
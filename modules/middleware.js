@@ -5,6 +5,7 @@ const compression = require("compression");
 const multer = require("multer");
 const path = require("path");
 const { UPLOAD_TEMP_DIR, FILE_LIMIT } = require("./config");
+const { TUS_EXPOSED_HEADERS } = require("./tus");
 
 // Configure multer for file uploads with disk storage for streaming
 const storage = multer.diskStorage({
@@ -14,7 +15,7 @@ const storage = multer.diskStorage({
   filename: (req, file, cb) => {
     // Generate unique filename with timestamp
     const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + "-" + file.originalname);
+    cb(null, uniqueSuffix + "-" + path.basename(file.originalname));
   },
 });
 
@@ -28,6 +29,18 @@ const upload = multer({
   },
 });
 
+// Multi-file folder uploads keep the relative path clients put in each part's filename
+const FOLDER_MAX_FILES = 1000;
+
+const uploadFolder = multer({
+  storage,
+  preservePath: true,
+  limits: {
+    fileSize: FILE_LIMIT,
+    files: FOLDER_MAX_FILES,
+  },
+});
+
 // Error handling middleware
 const errorHandler = (err, req, res, next) => {
   // Handle Multer file size limit error
@@ -39,21 +52,33 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_COUNT") {
+    return res.status(413).json({
+      error: "Too many files",
+      message: `At most ${FOLDER_MAX_FILES} files can be uploaded at once`,
+      maxFiles: FOLDER_MAX_FILES,
+    });
+  }
+
   console.error("Unexpected error:", err.stack);
   res.status(500).json({ error: "Internal server error" });
 };
 
+// PUT /upload/:filename streams the raw body itself; curl --data-binary labels it form-urlencoded
+const skipRawUploads = (parser) => (req, res, next) => (req.method === "PUT" ? next() : parser(req, res, next));
+
 // Setup all middleware for the app
 const setupMiddleware = (app) => {
   app.use(compression());
-  app.use(express.json());
-  app.use(express.urlencoded({ extended: true }));
-  app.use(cors());
+  app.use(skipRawUploads(express.json({ limit: "10mb" }))); // Pin manifests for /pin/import can be large
+  app.use(skipRawUploads(express.urlencoded({ extended: true })));
+  app.use(cors({ exposedHeaders: [...TUS_EXPOSED_HEADERS, "X-Progress-Id"] }));
   app.use(express.static(path.join(__dirname, "../public")));
 };
 
 module.exports = {
   upload,
+  uploadFolder,
   errorHandler,
   setupMiddleware,
 };
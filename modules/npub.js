@@ -0,0 +1,94 @@
+// NIP-19 npub (bech32) encoding of Daku public keys
+const crypto = require("crypto");
+
+const CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+const polymod = (values) => {
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) chk ^= GENERATORS[i];
+    }
+  }
+  return chk;
+};
+
+const hrpExpand = (hrp) => {
+  const result = [];
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) >> 5);
+  result.push(0);
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) & 31);
+  return result;
+};
+
+// Regroup 8-bit bytes into 5-bit words (with padding)
+const toWords = (bytes) => {
+  const words = [];
+  let acc = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    acc = (acc << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((acc >> bits) & 31);
+    }
+  }
+
+  if (bits > 0) words.push((acc << (5 - bits)) & 31);
+  return words;
+};
+
+const bech32Encode = (hrp, bytes) => {
+  const words = toWords(bytes);
+  const checksumInput = hrpExpand(hrp).concat(words, [0, 0, 0, 0, 0, 0]);
+  const mod = polymod(checksumInput) ^ 1;
+  const checksum = [];
+  for (let i = 0; i < 6; i++) checksum.push((mod >> (5 * (5 - i))) & 31);
+
+  return `${hrp}1${words.concat(checksum).map((word) => CHARSET[word]).join("")}`;
+};
+
+/**
+ * Encode a hex Daku public key as an npub
+ * Accepts 33-byte compressed keys (02/03 prefix) and 32-byte x-only keys
+ * @param {string} hexKey - Public key in hex
+ * @returns {string|null} - npub1... or null if the key is not a valid secp256k1 key
+ */
+const hexToNpub = (hexKey) => {
+  const hex = String(hexKey || "").toLowerCase();
+  if (!/^[0-9a-f]+$/.test(hex)) return null;
+
+  let xOnly;
+  if (hex.length === 66 && (hex.startsWith("02") || hex.startsWith("03"))) {
+    xOnly = hex.slice(2);
+  } else if (hex.length === 64) {
+    xOnly = hex;
+  } else {
+    return null;
+  }
+
+  return bech32Encode("npub", Buffer.from(xOnly, "hex"));
+};
+
+// Per-process salt so hidden author labels cannot be reversed by hashing known keys
+const HIDE_SALT = crypto.randomBytes(16);
+
+/**
+ * Derive a stable (for this process) pseudonymous label for an author
+ * @param {string} hexKey - Public key in hex
+ * @returns {string} - e.g. "anon-1a2b3c4d5e6f"
+ */
+const anonymizeAuthor = (hexKey) => {
+  const digest = crypto.createHmac("sha256", HIDE_SALT).update(String(hexKey)).digest("hex");
+  return `anon-${digest.slice(0, 12)}`;
+};
+
+module.exports = {
+  hexToNpub,
+  anonymizeAuthor,
+};
@@ -0,0 +1,185 @@
+// Background pin job manager
+// Runs Kubo pin/add with a bounded concurrency queue, retries with backoff
+// and writes the final status back into the pin database
+
+const { PIN_CONCURRENCY, PIN_MAX_RETRIES, PIN_RETRY_DELAY_MS } = require("./config");
+const { pinCidWithProgress, getCidSize, getPeerCount } = require("./ipfs");
+const { updatePin, getPinsByStatus, getPinsByCid } = require("./database");
+const { releaseIfUnreferenced } = require("./references");
+const { checkQuota } = require("./quota");
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // Keep finished jobs queryable for 1 hour
+
+const jobs = new Map(); // CID -> job
+const queue = []; // CIDs waiting for a worker
+let activeCount = 0;
+
+const createJob = (cid) => ({
+  cid,
+  state: "queued", // queued | pinning | retrying | pinned | failed
+  attempts: 0,
+  maxAttempts: PIN_MAX_RETRIES + 1,
+  blocks: 0,
+  size: 0,
+  error: null,
+  queuedAt: Date.now(),
+  startedAt: null,
+  finishedAt: null,
+  nextRetryAt: null,
+});
+
+const pruneFinishedJobs = () => {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  for (const [cid, job] of jobs.entries()) {
+    if (job.finishedAt && job.finishedAt < cutoff) {
+      jobs.delete(cid);
+    }
+  }
+};
+
+const runJob = async (job) => {
+  job.state = "pinning";
+  job.attempts++;
+  job.startedAt = Date.now();
+  job.nextRetryAt = null;
+
+  const peers = await getPeerCount();
+  console.log(`[PINNER] PIN_STARTING cid=${job.cid} attempt=${job.attempts}/${job.maxAttempts} peers=${peers}`);
+
+  try {
+    await pinCidWithProgress(job.cid, (blocks) => {
+      job.blocks = blocks;
+    });
+
+    job.size = await getCidSize(job.cid);
+
+    // The final size is only known now, so byte quotas are enforced per reference after the fact
+    const waiting = getPinsByCid(job.cid).filter((pin) => pin.status === "pending");
+    let accepted = 0;
+
+    for (const pin of waiting) {
+      const quota = pin.author ? checkQuota(pin.author, { bytes: job.size - (pin.size || 0) }) : { ok: true };
+      if (quota.ok) {
+        updatePin(job.cid, { status: "pinned", size: job.size, error: null }, { author: pin.author });
+        accepted++;
+      } else {
+        updatePin(job.cid, { status: "failed", size: job.size, error: quota.reason }, { author: pin.author });
+        console.warn(`[PINNER] PIN_QUOTA_EXCEEDED cid=${job.cid} author=${pin.author} size_mb=${(job.size / 1024 / 1024).toFixed(2)}`);
+      }
+    }
+
+    job.finishedAt = Date.now();
+
+    // Nobody is left holding the content: release it again
+    if (!accepted && await releaseIfUnreferenced(job.cid)) {
+      job.state = "failed";
+      job.error = waiting.length ? "Quota exceeded" : "Pin was removed while fetching";
+      return;
+    }
+
+    job.state = "pinned";
+    job.error = null;
+    console.log(`[PINNER] PIN_COMPLETED cid=${job.cid} blocks=${job.blocks} size_mb=${(job.size / 1024 / 1024).toFixed(2)} duration_ms=${job.finishedAt - job.startedAt}`);
+  } catch (err) {
+    job.error = err.message;
+
+    if (job.attempts < job.maxAttempts) {
+      const delay = PIN_RETRY_DELAY_MS * Math.pow(2, job.attempts - 1);
+      job.state = "retrying";
+      job.nextRetryAt = Date.now() + delay;
+      updatePin(job.cid, { status: "pending", error: err.message }, { onlyStatus: "pending" });
+      console.warn(`[PINNER] PIN_RETRY cid=${job.cid} attempt=${job.attempts}/${job.maxAttempts} retry_in_ms=${delay} error="${err.message}"`);
+
+      setTimeout(() => {
+        if (jobs.get(job.cid) !== job) return; // Job was cancelled meanwhile
+        job.state = "queued";
+        queue.push(job.cid);
+        drainQueue();
+      }, delay);
+    } else {
+      job.state = "failed";
+      job.finishedAt = Date.now();
+      updatePin(job.cid, { status: "failed", error: err.message }, { onlyStatus: "pending" });
+      console.error(`[PINNER] PIN_FAILED cid=${job.cid} attempts=${job.attempts} error="${err.message}"`);
+    }
+  }
+};
+
+const drainQueue = () => {
+  while (activeCount < PIN_CONCURRENCY && queue.length > 0) {
+    const cid = queue.shift();
+    const job = jobs.get(cid);
+    if (!job || job.state !== "queued") continue;
+
+    activeCount++;
+    runJob(job).finally(() => {
+      activeCount--;
+      drainQueue();
+    });
+  }
+};
+
+/**
+ * Queue a CID for pinning (no-op if a job for it is already queued or running)
+ * @param {string} cid - The CID to pin
+ * @returns {object} - The pin job
+ */
+const enqueuePin = (cid) => {
+  pruneFinishedJobs();
+
+  const existing = jobs.get(cid);
+  if (existing && !existing.finishedAt) {
+    return existing;
+  }
+
+  const job = createJob(cid);
+  jobs.set(cid, job);
+  queue.push(cid);
+  console.log(`[PINNER] PIN_QUEUED cid=${cid} queue_length=${queue.length} active=${activeCount}/${PIN_CONCURRENCY}`);
+  drainQueue();
+  return job;
+};
+
+/**
+ * Drop a queued or retrying job (a running pin/add is left to finish)
+ * @param {string} cid - The CID whose job should be removed
+ */
+const cancelPin = (cid) => {
+  const job = jobs.get(cid);
+  if (!job) return;
+
+  const index = queue.indexOf(cid);
+  if (index !== -1) queue.splice(index, 1);
+  jobs.delete(cid);
+};
+
+/**
+ * Get the job for a CID
+ * @param {string} cid - The CID to look up
+ * @returns {object|null} - The job, or null if none is tracked
+ */
+const getPinJob = (cid) => jobs.get(cid) || null;
+
+// Re-queue pins left pending by a previous run
+const resumePendingPins = () => {
+  const pending = getPinsByStatus("pending");
+  pending.forEach((pin) => enqueuePin(pin.cid));
+  if (pending.length) {
+    console.log(`[PINNER] RESUMED pending=${pending.length}`);
+  }
+  return pending.length;
+};
+
+const getQueueStats = () => ({
+  queued: queue.length,
+  active: activeCount,
+  concurrency: PIN_CONCURRENCY,
+});
+
+module.exports = {
+  enqueuePin,
+  cancelPin,
+  getPinJob,
+  resumePendingPins,
+  getQueueStats,
+};
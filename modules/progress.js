@@ -0,0 +1,257 @@
+// Live upload progress over Server-Sent Events (GET /progress/:id)
+// An upload reports two phases: the bytes the server has received, then the bytes Kubo has added.
+// Trackers only live in memory; a finished one is kept for a while so a late subscriber still gets the result.
+// Only uploads create trackers: a subscriber to an unknown id waits briefly for its upload, then gets a 404
+const crypto = require("crypto");
+
+const PROGRESS_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const MAX_TRACKERS = 10000;
+const EMIT_INTERVAL_MS = 250;
+const IDLE_TTL_MS = 10 * 60 * 1000; // No upload arrived, or it stopped reporting
+const FINISHED_TTL_MS = 5 * 60 * 1000;
+const KEEPALIVE_MS = 15 * 1000;
+const SUBSCRIBE_WAIT_MS = 5 * 1000; // How long GET /progress/:id waits for an upload to start under an unknown id
+
+const trackers = new Map(); // progress id -> tracker
+const waiting = new Map(); // progress id -> callbacks of subscribers waiting for the upload to start
+
+const isValidProgressId = (id) => typeof id === "string" && PROGRESS_ID_PATTERN.test(id);
+
+const createProgressId = () => crypto.randomBytes(16).toString("hex");
+
+const snapshot = (tracker) => ({
+  id: tracker.id,
+  phase: tracker.phase,
+  received: tracker.received,
+  total: tracker.total,
+  added: tracker.added,
+  addTotal: tracker.addTotal,
+  ...(tracker.result ? { result: tracker.result } : {}),
+  ...(tracker.error ? { error: tracker.error } : {}),
+});
+
+// Forget the tracker after ttlMs, closing any stream still waiting on it
+const expireAfter = (tracker, ttlMs) => {
+  clearTimeout(tracker.timer);
+  tracker.timer = setTimeout(() => {
+    trackers.delete(tracker.id);
+    if (tracker.phase === "done" || tracker.phase === "error") return;
+
+    tracker.phase = "error";
+    tracker.error = "No upload activity for this progress id";
+    const data = snapshot(tracker);
+    tracker.listeners.forEach((listener) => listener("failed", data));
+  }, ttlMs);
+  tracker.timer.unref();
+};
+
+const emit = (tracker, event) => {
+  tracker.lastEmit = Date.now();
+  const data = snapshot(tracker);
+  tracker.listeners.forEach((listener) => listener(event, data));
+  expireAfter(tracker, event === "progress" ? IDLE_TTL_MS : FINISHED_TTL_MS);
+};
+
+/**
+ * Start (or restart) tracking an upload
+ * @param {string} id - Progress id
+ * @param {number} total - Expected request size in bytes, 0 when unknown
+ * @param {number} [received] - Bytes already received, for a resumed upload
+ */
+const startProgress = (id, total, received = 0) => {
+  let tracker = trackers.get(id);
+  if (!tracker) {
+    if (trackers.size >= MAX_TRACKERS) return;
+    tracker = { id, listeners: new Set(), lastEmit: 0 };
+    trackers.set(id, tracker);
+  }
+
+  Object.assign(tracker, { phase: "receiving", received, total, added: 0, addTotal: null, result: null, error: null });
+  emit(tracker, "progress");
+
+  const callbacks = waiting.get(id);
+  waiting.delete(id);
+  if (callbacks) callbacks.forEach((callback) => callback(tracker));
+};
+
+/**
+ * Track a tus upload resumed after a restart, whose tracker was lost with it
+ * @param {string} id - Progress id
+ * @param {number} received - Bytes already stored
+ * @param {number} total - Upload length
+ */
+const resumeProgress = (id, received, total) => {
+  if (!trackers.has(id)) startProgress(id, total, received);
+};
+
+// Updates are throttled; phase changes and the final event always go out
+// Streamed uploads keep receiving while Kubo adds
+const reportReceived = (id, received, total) => {
+  const tracker = trackers.get(id);
+  if (!tracker || tracker.phase === "done" || tracker.phase === "error") return;
+
+  tracker.received = received;
+  if (total !== undefined) tracker.total = total;
+  if (Date.now() - tracker.lastEmit >= EMIT_INTERVAL_MS) emit(tracker, "progress");
+};
+
+const reportAdded = (id, added, total) => {
+  const tracker = trackers.get(id);
+  if (!tracker || tracker.phase === "done" || tracker.phase === "error") return;
+
+  const phaseChanged = tracker.phase !== "adding";
+  tracker.phase = "adding";
+  tracker.added = added;
+  if (total) tracker.addTotal = total;
+  if (phaseChanged || Date.now() - tracker.lastEmit >= EMIT_INTERVAL_MS) emit(tracker, "progress");
+};
+
+/**
+ * Kubo add progress callback for an upload, undefined when it is not tracked
+ * @param {string|undefined} id - Progress id
+ * @returns {((added: number, total?: number) => void)|undefined}
+ */
+const addProgressReporter = (id) => (id ? (added, total) => reportAdded(id, added, total) : undefined);
+
+const finishProgress = (id, result) => {
+  const tracker = trackers.get(id);
+  if (!tracker || tracker.phase === "done" || tracker.phase === "error") return;
+
+  // Anyone holding the id can read the stream, so the deletion token and the key-bearing share link stay out of it
+  const { shareUrl, deleteToken, ...published } = result || {};
+  tracker.phase = "done";
+  tracker.result = result ? published : null;
+  emit(tracker, "done");
+};
+
+const failProgress = (id, message) => {
+  const tracker = trackers.get(id);
+  if (!tracker || tracker.phase === "done" || tracker.phase === "error") return;
+
+  tracker.phase = "error";
+  tracker.error = message || "Upload failed";
+  emit(tracker, "failed");
+};
+
+/**
+ * Express middleware that tracks an upload request under ?progress=<id> (or a generated id)
+ * The id is sent back in the X-Progress-Id header; the tracker settles with the handler's JSON response,
+ * a handler answering in another format passes its result to finishProgress itself
+ */
+const trackUploadProgress = (req, res, next) => {
+  const requested = req.query.progress;
+  if (requested !== undefined && !isValidProgressId(String(requested))) {
+    return res.status(400).json({
+      error: "Invalid progress id",
+      status: "error",
+      message: "progress must be 8-64 letters, digits, '-' or '_'",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const id = requested !== undefined ? String(requested) : createProgressId();
+  req.progressId = id;
+  res.set("X-Progress-Id", id);
+  startProgress(id, Number(req.get("content-length")) || 0);
+
+  let body = null;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+
+  res.on("finish", () => {
+    if (res.statusCode < 400) {
+      finishProgress(id, body);
+    } else {
+      failProgress(id, (body && (body.message || body.error)) || `HTTP ${res.statusCode}`);
+    }
+  });
+  res.on("close", () => {
+    if (!res.writableFinished) failProgress(id, "Upload aborted");
+  });
+
+  next();
+
+  // Whatever reads the body (multer, busboy, the raw upload stream) pipes it synchronously inside next(),
+  // so counting from here sees every chunk. A handler that answered without reading leaves it paused
+  if (!req.readableFlowing) return;
+  let received = 0;
+  req.on("data", (chunk) => {
+    received += chunk.length;
+    reportReceived(id, received);
+  });
+};
+
+// Resolves with the tracker once an upload starts under id, or null after SUBSCRIBE_WAIT_MS or when the subscriber leaves
+const waitForTracker = (id, req) => new Promise((resolve) => {
+  const callbacks = waiting.get(id) || new Set();
+  waiting.set(id, callbacks);
+
+  const settle = (tracker) => {
+    clearTimeout(timer);
+    req.off("close", onClose);
+    callbacks.delete(settle);
+    if (!callbacks.size && waiting.get(id) === callbacks) waiting.delete(id);
+    resolve(tracker);
+  };
+  const onClose = () => settle(null);
+  const timer = setTimeout(() => settle(null), SUBSCRIBE_WAIT_MS);
+
+  callbacks.add(settle);
+  req.on("close", onClose);
+});
+
+// GET /progress/:id - event stream of `progress` events, ending with `done` (carrying the upload response) or `failed`
+// Subscribing just before the upload starts is fine, the request waits a few seconds for it
+const progressHandler = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidProgressId(id)) {
+    return res.status(400).json({ error: "Invalid progress id" });
+  }
+
+  const tracker = trackers.get(id) || (await waitForTracker(id, req));
+  if (!tracker) {
+    if (res.destroyed) return;
+    return res.status(404).json({ error: "Unknown progress id", message: "No upload is running or recently finished under this id" });
+  }
+
+  // no-transform keeps the compression middleware from buffering the stream
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (event === "done" || event === "failed") res.end();
+  };
+
+  const current = snapshot(tracker);
+  if (tracker.phase === "done") return send("done", current);
+  if (tracker.phase === "error") return send("failed", current);
+  send("progress", current);
+
+  tracker.listeners.add(send);
+  const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_MS);
+  res.on("close", () => {
+    clearInterval(keepalive);
+    tracker.listeners.delete(send);
+  });
+};
+
+module.exports = {
+  isValidProgressId,
+  startProgress,
+  resumeProgress,
+  reportReceived,
+  addProgressReporter,
+  finishProgress,
+  failProgress,
+  trackUploadProgress,
+  progressHandler,
+};
@@ -0,0 +1,72 @@
+// Per-user storage quotas for authenticated pinning
+const { QUOTA_BYTES, QUOTA_PINS, USER_QUOTAS, formatBytes } = require("./config");
+const { getUsageByAuthor } = require("./database");
+
+/**
+ * Get the quota that applies to a user
+ * @param {string} userId - Daku public key
+ * @returns {{maxBytes: number, maxPins: number}} - Limits (0 = unlimited)
+ */
+const getUserQuota = (userId) => USER_QUOTAS[userId] || { maxBytes: QUOTA_BYTES, maxPins: QUOTA_PINS };
+
+/**
+ * Get usage, limits and remaining allowance of a user
+ * @param {string} userId - Daku public key
+ * @returns {{usage: object, quota: object, remaining: object}}
+ */
+const getQuotaSummary = (userId) => {
+  const usage = getUsageByAuthor(userId);
+  const quota = getUserQuota(userId);
+
+  return {
+    usage,
+    quota,
+    remaining: {
+      bytes: quota.maxBytes ? Math.max(0, quota.maxBytes - usage.bytes) : null,
+      pins: quota.maxPins ? Math.max(0, quota.maxPins - usage.pins) : null,
+    },
+  };
+};
+
+/**
+ * Check whether a user can add pins/bytes without exceeding their quota
+ * @param {string} userId - Daku public key
+ * @param {{pins?: number, bytes?: number}} addition - What would be added
+ * @returns {{ok: boolean, reason: string|null}}
+ */
+const checkQuota = (userId, { pins = 0, bytes = 0 } = {}) => {
+  const { usage, quota } = getQuotaSummary(userId);
+
+  if (quota.maxPins && usage.pins + pins > quota.maxPins) {
+    return {
+      ok: false,
+      reason: `Pin count quota exceeded (${usage.pins} of ${quota.maxPins} used, ${pins} requested)`,
+    };
+  }
+
+  if (quota.maxBytes && usage.bytes + bytes > quota.maxBytes) {
+    return {
+      ok: false,
+      reason: `Storage quota exceeded (${formatBytes(usage.bytes)} of ${formatBytes(quota.maxBytes)} used, ${formatBytes(bytes)} requested)`,
+    };
+  }
+
+  return { ok: true, reason: null };
+};
+
+// Shape a summary for API responses
+const formatQuotaSummary = (summary) => ({
+  usedBytes: summary.usage.bytes,
+  usedPins: summary.usage.pins,
+  maxBytes: summary.quota.maxBytes || null,
+  maxPins: summary.quota.maxPins || null,
+  remainingBytes: summary.remaining.bytes,
+  remainingPins: summary.remaining.pins,
+});
+
+module.exports = {
+  getUserQuota,
+  getQuotaSummary,
+  checkQuota,
+  formatQuotaSummary,
+};
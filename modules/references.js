@@ -0,0 +1,34 @@
+// Reference counting for pinned CIDs
+// A CID stays pinned in Kubo while any author's pin record or an upload retention holds it
+
+const { unpinCid } = require("./ipfs");
+const { countReferences } = require("./database");
+const { isRetained } = require("./retention");
+
+/**
+ * Check whether anything still holds a CID
+ * @param {string} cid - The CID to check
+ * @returns {boolean}
+ */
+const isReferenced = (cid) => countReferences(cid) > 0 || isRetained(cid);
+
+/**
+ * Unpin a CID from Kubo once the last reference to it is gone
+ * @param {string} cid - The CID to release
+ * @returns {Promise<boolean>} - True if Kubo's pin/rm ran
+ */
+const releaseIfUnreferenced = async (cid) => {
+  if (isReferenced(cid)) {
+    console.log(`[REFS] PIN_KEPT cid=${cid} references=${countReferences(cid)} retained=${isRetained(cid)}`);
+    return false;
+  }
+
+  await unpinCid(cid);
+  console.log(`[REFS] PIN_RELEASED cid=${cid}`);
+  return true;
+};
+
+module.exports = {
+  isReferenced,
+  releaseIfUnreferenced,
+};
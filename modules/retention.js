@@ -0,0 +1,102 @@
+// Retention window for anonymous uploads
+// Uploads within the size cap are added pinned and tracked here until they expire
+
+const { UPLOAD_RETENTION_MS, UPLOAD_RETENTION_MAX_SIZE } = require("./config");
+const { openJournal } = require("./store");
+const { unpinCid, isPinned } = require("./ipfs");
+const { countReferences } = require("./database");
+
+const journal = openJournal("uploads");
+const uploadsMap = journal.map; // CID -> retention record
+
+/**
+ * Decide whether an upload of the given size is retained (pinned until expiry)
+ * @param {number} size - Upload size in bytes
+ * @returns {boolean}
+ */
+const shouldRetain = (size) => {
+  if (!UPLOAD_RETENTION_MS) return false;
+  if (UPLOAD_RETENTION_MAX_SIZE && size > UPLOAD_RETENTION_MAX_SIZE) return false;
+  return true;
+};
+
+/**
+ * Track a pinned upload until its retention window ends
+ * Re-uploading the same content extends the window
+ * @param {{cid: string, size: number, filename?: string, type?: string}} upload
+ * @returns {string|null} - ISO expiry timestamp
+ */
+const retainUpload = ({ cid, size, filename, type }) => {
+  const now = Date.now();
+  const expiresAt = now + UPLOAD_RETENTION_MS;
+  const existing = uploadsMap.get(cid);
+
+  const record = {
+    cid,
+    size,
+    filename: filename || null,
+    type: type || null,
+    created_at: existing ? existing.created_at : now,
+    expires_at: existing ? Math.max(existing.expires_at, expiresAt) : expiresAt,
+  };
+
+  journal.put(cid, record);
+  console.log(`[RETENTION] UPLOAD_RETAINED cid=${cid} size_mb=${(size / 1024 / 1024).toFixed(2)} expires_at=${new Date(record.expires_at).toISOString()}`);
+  return new Date(record.expires_at).toISOString();
+};
+
+/**
+ * Check whether a CID is held by an unexpired upload retention
+ * @param {string} cid - The CID to check
+ * @returns {boolean}
+ */
+const isRetained = (cid) => {
+  const record = uploadsMap.get(cid);
+  return Boolean(record && record.expires_at > Date.now());
+};
+
+/**
+ * Stop retaining an upload right away (the caller unpins it)
+ * @param {string} cid - The CID to forget
+ * @returns {boolean} - True if the upload was retained
+ */
+const forgetUpload = (cid) => journal.del(cid);
+
+// CIDs currently tracked by the retention store (used when reconciling with Kubo)
+const getRetainedCids = () => new Set(uploadsMap.keys());
+
+/**
+ * Unpin uploads whose retention window has ended
+ * Content that a user has pinned through /pin/add stays pinned
+ * @returns {Promise<number>} - Number of expired uploads
+ */
+const sweepExpiredUploads = async () => {
+  const now = Date.now();
+  let expired = 0;
+
+  for (const record of Array.from(uploadsMap.values())) {
+    if (record.expires_at > now) continue;
+
+    if (countReferences(record.cid) > 0) {
+      console.log(`[RETENTION] UPLOAD_EXPIRED cid=${record.cid} action=keep reason=user_pin`);
+    } else {
+      const unpinned = await unpinCid(record.cid);
+      if (!unpinned && await isPinned(record.cid)) continue; // Try again on the next sweep
+      console.log(`[RETENTION] UPLOAD_EXPIRED cid=${record.cid} action=unpinned`);
+    }
+
+    journal.del(record.cid);
+    expired++;
+  }
+
+  return expired;
+};
+
+module.exports = {
+  shouldRetain,
+  retainUpload,
+  isRetained,
+  forgetUpload,
+  getRetainedCids,
+  sweepExpiredUploads,
+};
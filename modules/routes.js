@@ -4,10 +4,30 @@ const path = require("path");
 const mime = require("mime-types");
 const axios = require("axios");
 const FormData = require("form-data");
-const unzipper = require("unzipper");
-
-const { IPFS_API, STORAGE_MAX, FILE_LIMIT, PROXY_FILE_LIMIT, formatBytes, UPLOAD_TEMP_DIR } = require("./config");
-const { checkIPFSHealth, getIPFSStats, pinCid, unpinCid } = require("./ipfs");
+const Busboy = require("busboy");
+const { Transform, PassThrough } = require("stream");
+const { pipeline } = require("stream/promises");
+
+const { IPFS_API, STORAGE_MAX, FILE_LIMIT, PROXY_FILE_LIMIT, parseSize, formatBytes, UPLOAD_TEMP_DIR, HIDE_AUTHORS, UPLOAD_STREAMING, TYPE_POLICY, REJECT_TYPE_MISMATCH, SCANNER, SCAN_FAIL_OPEN, REMOTE_UPLOAD_WORKERS } = require("./config");
+const { checkIPFSHealth, getIPFSStats, isPinned, getCidSize, addFile, getLocalPresence, importCar, exportCar, getDagStat } = require("./ipfs");
+const { shouldRetain } = require("./retention");
+const { enqueuePin, cancelPin, getPinJob, getQueueStats } = require("./pinner");
+const { checkQuota, getQuotaSummary, formatQuotaSummary } = require("./quota");
+const { releaseIfUnreferenced } = require("./references");
+const { findDeletionToken, deleteContent, isDenied, allowContent, deletedContentError } = require("./deletion");
+const { hexToNpub, anonymizeAuthor } = require("./npub");
+const { buildManifest, verifyManifest } = require("./manifest");
+const { shouldPinUpload, checkUploadQuota, recordUpload, addUploadedFile, addUploadStream } = require("./uploads");
+const { streamToFileWithLimit, detectArchiveFormat, extractArchive } = require("./archive");
+const { resolveAddOptions, toAddQuery } = require("./addoptions");
+const { cidForms, toCidV1 } = require("./cid");
+const { wantsScrub, isScrubbable, scrubFile } = require("./scrub");
+const { SNIFF_LENGTH, checkFileType, checkFileTypeAt } = require("./filetype");
+const { isScanning, scanFile, summarizeScans } = require("./scanner");
+const { enqueueJob, cancelJob, getJob, acquireWorker, releaseWorker, describeJob, getJobStats } = require("./jobs");
+const { readCarHeader } = require("./car");
+const { prepareWebsite, describeWebsite } = require("./website");
+const { addProgressReporter, finishProgress } = require("./progress");
 const { getGatewayUrl, refreshGateways } = require("./gateways");
 
 
@@ -15,13 +35,18 @@ const {
   getPins,
   getPinsByType,
   getStats,
+  getPinsGroupedByNpub,
+  getStatsByNpub,
+  countByNpub,
   getTotalCount,
   getRecentPins,
   countByTypeAndStatus,
-  getPinsByAuthor,
+  queryPins,
   recordPin,
   deletePin,
   getPinByCid,
+  getStoreStats,
+  getReconcileReport,
 } = require("./database");
 
 const unlinkSafe = async (filePath, context) => {
@@ -85,36 +110,6 @@ const axiosStream = async (config, timeoutMs = 10000) => {
   return res;
 };
 
-const streamToFileWithLimit = (readableStream, filePath, sizeLimit) => new Promise((resolve, reject) => {
-  if (!readableStream) {
-    reject(new Error("Response has no body"));
-    return;
-  }
-
-  const sink = fs.createWriteStream(filePath);
-  let downloadedSize = 0;
-
-  const onError = (err) => {
-    sink.destroy();
-    reject(err);
-  };
-
-  readableStream.on("data", (chunk) => {
-    downloadedSize += chunk.length;
-    if (downloadedSize > sizeLimit) {
-      const error = new Error(`File size exceeds limit of ${formatBytes(sizeLimit)}`);
-      error.code = "FILE_TOO_LARGE";
-      readableStream.destroy(error);
-    }
-  });
-
-  readableStream.on("error", onError);
-  sink.on("error", onError);
-  sink.on("finish", () => resolve(downloadedSize));
-
-  readableStream.pipe(sink);
-});
-
 const parseIpfsAddResponse = (data) => {
   if (Array.isArray(data)) return data;
   if (data && typeof data === "object" && !Buffer.isBuffer(data)) return [data];
@@ -140,12 +135,6 @@ const parseIpfsAddResponse = (data) => {
     .filter(Boolean);
 };
 
-const isSafeZipPath = (baseDir, entryPath) => {
-  const safePath = path.resolve(baseDir, entryPath);
-  const relative = path.relative(baseDir, safePath);
-  return relative && !relative.startsWith("..") && !path.isAbsolute(relative);
-};
-
 const collectFilesRecursively = async (dirPath, collected = []) => {
   const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
 
@@ -171,9 +160,107 @@ const removeDirSafe = async (dirPath, context) => {
   }
 };
 
-// Concurrency control for remote uploads
-const MAX_CONCURRENT_DOWNLOADS = 3;
-let activeDownloads = 0;
+// Limits for pin labels
+const PIN_NAME_MAX = 200;
+const PIN_NOTE_MAX = 2000;
+const PIN_TAGS_MAX = 20;
+const PIN_TAG_MAX = 50;
+
+// Normalize a /pin/add entry: either a CID string or {cid, name, tags, note}
+// Returns {cid, labels} where labels only contains the fields that were sent
+const parsePinEntry = (entry) => {
+  if (typeof entry === "string") {
+    return { cid: entry.trim(), labels: {} };
+  }
+
+  if (!entry || typeof entry !== "object" || typeof entry.cid !== "string" || !entry.cid.trim()) {
+    throw new Error("Each entry must be a CID string or an object with a cid field");
+  }
+
+  const labels = {};
+
+  if (entry.name !== undefined) {
+    if (entry.name !== null && typeof entry.name !== "string") throw new Error("name must be a string");
+    const name = entry.name ? entry.name.trim() : "";
+    if (name.length > PIN_NAME_MAX) throw new Error(`name must be at most ${PIN_NAME_MAX} characters`);
+    labels.name = name || null;
+  }
+
+  if (entry.tags !== undefined) {
+    const tags = typeof entry.tags === "string" ? entry.tags.split(",") : entry.tags;
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) throw new Error("tags must be an array of strings");
+    const normalized = Array.from(new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)));
+    if (normalized.length > PIN_TAGS_MAX) throw new Error(`at most ${PIN_TAGS_MAX} tags are allowed`);
+    if (normalized.some((tag) => tag.length > PIN_TAG_MAX)) throw new Error(`tags must be at most ${PIN_TAG_MAX} characters`);
+    labels.tags = normalized;
+  }
+
+  if (entry.note !== undefined) {
+    if (entry.note !== null && typeof entry.note !== "string") throw new Error("note must be a string");
+    const note = entry.note ? entry.note.trim() : "";
+    if (note.length > PIN_NOTE_MAX) throw new Error(`note must be at most ${PIN_NOTE_MAX} characters`);
+    labels.note = note || null;
+  }
+
+  return { cid: entry.cid.trim(), labels };
+};
+
+// Parse an optional size query value ("1048576" or "1MB")
+const parseSizeQuery = (value) => {
+  if (value === undefined || value === "") return undefined;
+  if (/^\d+$/.test(String(value))) return parseInt(value, 10);
+  return parseSize(String(value));
+};
+
+// Add options (cid-version, raw-leaves, chunker, hash, trickle) from the query string or form/JSON fields
+const readAddOptions = (req) => resolveAddOptions({ ...req.query, ...(req.body || {}) });
+
+// Metadata scrubbing opt-out ("scrub=false" in the query string or form/JSON fields)
+const readScrubOption = (req) => wantsScrub(req.query.scrub !== undefined ? req.query.scrub : (req.body || {}).scrub);
+
+// Encrypted upload mode ("encrypt=true"), answered with a link to the decrypt viewer on this server
+const readEncryptOption = (req) => String(req.query.encrypt !== undefined ? req.query.encrypt : (req.body || {}).encrypt) === "true";
+
+// website=true publishes a zip or folder upload as a static site (modules/website.js)
+const readWebsiteOption = (req) => String(req.query.website !== undefined ? req.query.website : (req.body || {}).website) === "true";
+
+const getViewerUrl = (req) => {
+  const protocol = (req.get("x-forwarded-proto") || req.protocol).split(",")[0].trim();
+  return `${protocol}://${req.get("host")}/decrypt.html`;
+};
+
+const sendAddOptionsError = (res, err) => res.status(400).json({
+  error: "Invalid add options",
+  status: "error",
+  message: err.message,
+  timestamp: new Date().toISOString(),
+});
+
+// Content refused by the type policy (modules/filetype.js)
+const typeErrorBody = (err) => ({
+  error: "Unsupported file type",
+  status: "error",
+  message: err.message,
+  detectedType: err.detectedType,
+  ...(err.path ? { path: err.path } : {}),
+  timestamp: new Date().toISOString(),
+});
+
+const sendTypeError = (res, err) => res.status(415).json(typeErrorBody(err));
+
+// Content refused by the scanner (422), or not scanned while failing closed (503)
+const isScanError = (err) => err.code === "SCAN_REJECTED" || err.code === "SCAN_UNAVAILABLE";
+
+const scanErrorBody = (err) => ({
+  error: err.code === "SCAN_REJECTED" ? "File rejected by scanner" : "Scanner unavailable",
+  status: "error",
+  message: err.message,
+  ...(err.threat ? { threat: err.threat } : {}),
+  ...(err.path ? { path: err.path } : {}),
+  timestamp: new Date().toISOString(),
+});
+
+const sendScanError = (res, err) => res.status(err.status).json(scanErrorBody(err));
 
 // Health check endpoint
 const healthHandler = async (req, res) => {
@@ -217,6 +304,16 @@ const statusHandler = async (req, res) => {
         bytes: PROXY_FILE_LIMIT,
         formatted: formatBytes(PROXY_FILE_LIMIT),
       },
+      addDefaults: resolveAddOptions({}), // Empty means Kubo's defaults (CIDv0, size-262144, sha2-256)
+      scrubMetadata: wantsScrub(),
+      typePolicy: TYPE_POLICY,
+      rejectTypeMismatch: REJECT_TYPE_MISMATCH,
+      scanning: SCANNER ? { scanner: SCANNER, failOpen: SCAN_FAIL_OPEN } : null,
+      remoteUploadJobs: getJobStats(),
+      pinStore: {
+        ...getStoreStats(),
+        reconcile: getReconcileReport(),
+      },
       appVersion,
     });
   } catch (err) {
@@ -253,55 +350,41 @@ const uploadHandler = async (req, res) => {
 
     filePath = req.file.path;
 
-    // Prepare file for IPFS using Node stream
-    const formData = new FormData();
+    let addOptions;
+    try {
+      addOptions = readAddOptions(req);
+    } catch (err) {
+      await unlinkSafe(filePath, "Failed to delete temp file");
+      return sendAddOptionsError(res, err);
+    }
+
+    // The extension (or the declared type) is only a claim, checked against the file's signature
+    const { type: mimeType, detectedType } = await checkFileTypeAt("upload", filePath, mime.lookup(req.file.originalname) || req.file.mimetype);
 
-    // Detect correct MIME type from file extension
-    const mimeType = mime.lookup(req.file.originalname) || req.file.mimetype || "application/octet-stream";
+    const quotaError = checkUploadQuota(req.user?.id, req.file.size);
+    if (quotaError) {
+      await unlinkSafe(filePath, "Failed to delete temp file");
+      return res.status(413).json(quotaError);
+    }
 
-    formData.append("file", fs.createReadStream(filePath), {
+    const result = await addUploadedFile({
+      filePath,
       filename: req.file.originalname,
-      contentType: mimeType,
+      size: req.file.size,
+      mimeType,
+      detectedType,
+      author: req.user?.id,
+      addOptions,
+      scrub: readScrubOption(req),
+      viewerUrl: readEncryptOption(req) ? getViewerUrl(req) : undefined,
+      onProgress: addProgressReporter(req.progressId),
     });
 
-    // Upload to IPFS
-    const uploadStart = Date.now();
-    console.log(`Starting IPFS upload for ${req.file.originalname} ...`);
-
-    const response = await axiosRequest({
-      url: `${IPFS_API}/api/v0/add?pin=false`,
-      method: "POST",
-      data: formData,
-      headers: formData.getHeaders(),
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
-    }, 3600000);
-
-    const responseJson = response.data;
-
-    // Detailed logging
-    const uploadDetails = {
-      name: req.file.originalname,
-      size_bytes: req.file.size,
-      mime_type: mimeType,
-      cid: responseJson.Hash,
-      upload_duration_ms: Date.now() - uploadStart,
-      timestamp: new Date().toISOString(),
-    };
-    console.log("File uploaded successfully:", uploadDetails);
-
     // Clean up temp file after successful upload
     await unlinkSafe(filePath, "Failed to delete temp file");
 
     // Simple response
-    res.json({
-      status: "success",
-      url: await getGatewayUrl(responseJson.Hash, req.file.originalname),
-      cid: responseJson.Hash,
-      size: uploadDetails.size_bytes,
-      type: mimeType,
-      filename: req.file.originalname,
-    });
+    res.json(result);
   } catch (err) {
     if (filePath) {
       await unlinkSafe(filePath, "Failed to delete temp file on error");
@@ -316,6 +399,377 @@ const uploadHandler = async (req, res) => {
         timestamp: new Date().toISOString(),
       });
     }
+    if (err.code === "UNSUPPORTED_TYPE") {
+      return sendTypeError(res, err);
+    }
+    if (isScanError(err)) {
+      return sendScanError(res, err);
+    }
+    if (err.code === "CONTENT_DELETED") {
+      return sendUploadError(res, 410, "Content deleted", err.message);
+    }
+
+    console.error("IPFS upload error:", {
+      message: err.message,
+      stack: err.stack,
+      timestamp: new Date().toISOString(),
+    });
+
+    res.status(500).json({
+      error: "Failed to upload to IPFS",
+      details: err.message,
+      status: "error",
+      message: "Failed to upload to IPFS",
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Fails the stream once it carries more than `limit` bytes
+const createSizeLimiter = (limit) => {
+  let received = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > limit) {
+        const error = new Error(`File exceeds the maximum allowed size of ${formatBytes(limit)}`);
+        error.code = "FILE_TOO_LARGE";
+        error.received = received;
+        callback(error);
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+};
+
+// Read the first bytes of a stream without losing them: resolves with the head and a stream replaying everything
+const peekStream = (source, length) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let received = 0;
+
+  const finish = () => {
+    source.off("data", onData);
+    source.off("end", finish);
+    source.off("error", reject);
+    source.pause();
+
+    const head = Buffer.concat(chunks);
+    const replay = new PassThrough();
+    source.on("error", (err) => replay.destroy(err));
+    replay.write(head);
+    if (source.readableEnded) {
+      replay.end();
+    } else {
+      source.pipe(replay);
+    }
+    resolve({ head: head.subarray(0, length), stream: replay });
+  };
+
+  const onData = (chunk) => {
+    chunks.push(chunk);
+    received += chunk.length;
+    if (received >= length) finish();
+  };
+
+  source.on("data", onData);
+  source.on("end", finish);
+  source.on("error", reject);
+});
+
+const sendUploadError = (res, statusCode, error, message) => res.status(statusCode).json({
+  error,
+  status: "error",
+  message,
+  timestamp: new Date().toISOString(),
+});
+
+// Streamed upload handler - POST /upload piped from the multipart parser straight into the Kubo add
+// Runs ahead of multer and passes the request on (next) when streaming is off, and while scanning is on, since the
+// scanner needs the whole file before the add. Images that are going to be scrubbed still go through
+// a temp file, because scrubbing rewrites them in place
+const streamUploadHandler = (req, res, next) => {
+  if (!UPLOAD_STREAMING || isScanning() || !req.is("multipart/form-data")) {
+    return next();
+  }
+
+  let busboy;
+  try {
+    busboy = Busboy({ headers: req.headers, limits: { fileSize: FILE_LIMIT + 1, files: 1 } });
+  } catch (err) {
+    return sendUploadError(res, 400, "Invalid multipart body", err.message);
+  }
+
+  const controller = new AbortController();
+  const fields = {};
+  let fileSeen = false;
+  let tempFilePath = null;
+  let limitError = null;
+  let quotaExceeded = null; // 413 body once the file outgrows the uploader's remaining quota
+  let clientGone = false;
+
+  // The client went away before getting an answer: cancel the add, nothing has been pinned yet
+  res.on("close", () => {
+    if (res.writableFinished) return;
+    clientGone = true;
+    controller.abort();
+  });
+
+  const handleFile = async (file, info) => {
+    const options = { ...req.query, ...fields };
+
+    let addOptions;
+    try {
+      addOptions = resolveAddOptions(options);
+    } catch (err) {
+      file.resume();
+      return sendAddOptionsError(res, err);
+    }
+
+    const quotaError = checkUploadQuota(req.user?.id, 0);
+    if (quotaError) {
+      file.resume();
+      return res.status(413).json(quotaError);
+    }
+
+    const filename = path.basename(info.filename || "") || "upload";
+    const viewerUrl = String(options.encrypt) === "true" ? getViewerUrl(req) : undefined;
+
+    // Limits apply to the file part itself, Content-Length also counts the other parts and the multipart framing
+    const remainingBytes = req.user ? getQuotaSummary(req.user.id).remaining.bytes : null;
+    const quotaLimited = remainingBytes !== null && remainingBytes < FILE_LIMIT;
+    const limiter = createSizeLimiter(quotaLimited ? remainingBytes : FILE_LIMIT);
+    limiter.on("error", (err) => {
+      if (quotaLimited) quotaExceeded = checkUploadQuota(req.user.id, err.received);
+      limitError = err;
+      controller.abort();
+    });
+    file.on("error", (err) => limiter.destroy(err));
+    file.pipe(limiter);
+
+    const { head, stream } = await peekStream(limiter, SNIFF_LENGTH);
+    const { type: mimeType, detectedType } = checkFileType("upload", head, mime.lookup(filename) || info.mimeType);
+
+    let result;
+    if (wantsScrub(options.scrub) && isScrubbable(head)) {
+      const crypto = require("crypto");
+      tempFilePath = path.join(UPLOAD_TEMP_DIR, `stream-${crypto.randomBytes(16).toString("hex")}`);
+      await pipeline(stream, fs.createWriteStream(tempFilePath));
+      result = await addUploadedFile({
+        filePath: tempFilePath,
+        filename,
+        size: (await fs.promises.stat(tempFilePath)).size,
+        mimeType,
+        detectedType,
+        author: req.user?.id,
+        addOptions,
+        scrub: true,
+        viewerUrl,
+        onProgress: addProgressReporter(req.progressId),
+      });
+    } else {
+      result = await addUploadStream({
+        stream,
+        filename,
+        mimeType,
+        detectedType,
+        author: req.user?.id,
+        addOptions,
+        viewerUrl,
+        signal: controller.signal,
+        onProgress: addProgressReporter(req.progressId),
+      });
+    }
+
+    res.json(result);
+  };
+
+  // Options must come before the file: the upload is already on its way with the fields seen so far
+  busboy.on("field", (name, value) => {
+    if (!fileSeen) {
+      fields[name] = value;
+      return;
+    }
+    controller.abort();
+    if (!res.headersSent) {
+      res.set("Connection", "close");
+      sendUploadError(res, 400, "Invalid field order", `Form field "${name}" comes after the file, send form fields before the file part`);
+    }
+  });
+
+  busboy.on("file", (name, file, info) => {
+    if (name !== "file") {
+      file.resume();
+      return;
+    }
+    fileSeen = true;
+
+    handleFile(file, info)
+      .catch((err) => {
+        if (clientGone) {
+          console.warn(`[UPLOAD] STREAM_ABORTED reason=${err.message}`);
+          return;
+        }
+        if (res.headersSent) return;
+
+        // Aborting the add surfaces as a cancellation, the limiter holds the real reason
+        if (quotaExceeded) {
+          res.set("Connection", "close");
+          return res.status(413).json(quotaExceeded);
+        }
+        if (limitError || err.code === "FILE_TOO_LARGE") {
+          res.set("Connection", "close");
+          return sendUploadError(res, 413, "File too large", (limitError || err).message);
+        }
+        if (err.code === "UNSUPPORTED_TYPE") {
+          res.set("Connection", "close"); // The rest of the file is never read
+          return sendTypeError(res, err);
+        }
+        if (err.code === "CONTENT_DELETED") {
+          return sendUploadError(res, 410, "Content deleted", err.message);
+        }
+
+        console.error("IPFS upload error:", {
+          message: err.message,
+          stack: err.stack,
+          timestamp: new Date().toISOString(),
+        });
+
+        res.status(500).json({
+          error: "Failed to upload to IPFS",
+          details: err.message,
+          status: "error",
+          message: "Failed to upload to IPFS",
+          timestamp: new Date().toISOString(),
+        });
+      })
+      .finally(() => unlinkSafe(tempFilePath, "Failed to delete temp file"));
+  });
+
+  busboy.on("close", () => {
+    if (!fileSeen && !res.headersSent) {
+      sendUploadError(res, 400, "No file uploaded", "No file uploaded");
+    }
+  });
+
+  busboy.on("error", (err) => {
+    controller.abort();
+    if (!res.headersSent && res.writable) {
+      sendUploadError(res, 400, "Invalid multipart body", err.message);
+    }
+  });
+
+  req.pipe(busboy);
+};
+
+// Raw body uploads answer with just the URL when asked for text ("?format=text" or "Accept: text/plain")
+const wantsTextResponse = (req) => req.query.format === "text"
+  || (req.get("accept") || "").split(",")[0].trim().startsWith("text/plain");
+
+const sendRawUploadError = (req, res, statusCode, error, message) => {
+  if (wantsTextResponse(req)) {
+    return res.status(statusCode).type("text/plain").send(`Error: ${message}\n`);
+  }
+  res.status(statusCode).json({
+    error,
+    status: "error",
+    message,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Raw upload handler - PUT /upload/:filename with the file as the request body (curl -T, --data-binary, ShareX)
+// Same response as /upload; the body is streamed to disk and cut off once it passes FILE_LIMIT
+const rawUploadHandler = async (req, res) => {
+  const crypto = require("crypto");
+  let tempFilePath = null;
+
+  try {
+    const filename = path.basename(req.params.filename || "") || "upload";
+
+    const declaredLength = req.get("content-length") === undefined ? null : Number(req.get("content-length"));
+    if (declaredLength !== null && declaredLength > FILE_LIMIT) {
+      res.set("Connection", "close");
+      return sendRawUploadError(req, res, 413, "File too large", `File exceeds the maximum allowed size of ${formatBytes(FILE_LIMIT)}`);
+    }
+
+    let addOptions;
+    try {
+      addOptions = readAddOptions(req);
+    } catch (err) {
+      return sendRawUploadError(req, res, 400, "Invalid add options", err.message);
+    }
+
+    tempFilePath = path.join(UPLOAD_TEMP_DIR, `raw-${crypto.randomBytes(16).toString("hex")}`);
+
+    let size;
+    try {
+      size = await streamToFileWithLimit(req, tempFilePath, FILE_LIMIT, { destroySource: false });
+    } catch (err) {
+      if (err.code === "FILE_TOO_LARGE") {
+        res.set("Connection", "close");
+        return sendRawUploadError(req, res, 413, "File too large", `File exceeds the maximum allowed size of ${formatBytes(FILE_LIMIT)}`);
+      }
+      throw err;
+    }
+
+    if (declaredLength !== null && size !== declaredLength) {
+      return sendRawUploadError(req, res, 400, "Incomplete body", `Received ${size} of ${declaredLength} bytes`);
+    }
+    if (size === 0) {
+      return sendRawUploadError(req, res, 400, "No file uploaded", "Request body is empty");
+    }
+
+    // The extension wins, then the declared type unless it is curl's form-urlencoded default
+    const declaredType = (req.get("content-type") || "").split(";")[0].trim();
+    const { type: mimeType, detectedType } = await checkFileTypeAt("upload", tempFilePath, mime.lookup(filename)
+      || (declaredType && declaredType !== "application/x-www-form-urlencoded" ? declaredType : undefined));
+
+    const quotaError = checkUploadQuota(req.user?.id, size);
+    if (quotaError) {
+      return wantsTextResponse(req)
+        ? sendRawUploadError(req, res, 413, quotaError.error, quotaError.message)
+        : res.status(413).json(quotaError);
+    }
+
+    const result = await addUploadedFile({
+      filePath: tempFilePath,
+      filename,
+      size,
+      mimeType,
+      detectedType,
+      author: req.user?.id,
+      addOptions,
+      scrub: readScrubOption(req),
+      viewerUrl: readEncryptOption(req) ? getViewerUrl(req) : undefined,
+      onProgress: addProgressReporter(req.progressId),
+    });
+
+    if (wantsTextResponse(req)) {
+      // The progress tracker only sees JSON responses, so it gets the result itself
+      res.type("text/plain").send(`${result.shareUrl || result.url}\n`);
+      return finishProgress(req.progressId, result);
+    }
+    res.json(result);
+  } catch (err) {
+    if (req.aborted || err.code === "ECONNRESET") {
+      console.warn(`[UPLOAD] RAW_UPLOAD_ABORTED reason=${err.message}`);
+      return;
+    }
+    if (err.code === "UNSUPPORTED_TYPE") {
+      return wantsTextResponse(req)
+        ? sendRawUploadError(req, res, 415, "Unsupported file type", err.message)
+        : sendTypeError(res, err);
+    }
+    if (isScanError(err)) {
+      return wantsTextResponse(req)
+        ? sendRawUploadError(req, res, err.status, "File rejected by scanner", err.message)
+        : sendScanError(res, err);
+    }
+    if (err.code === "CONTENT_DELETED") {
+      return sendRawUploadError(req, res, 410, "Content deleted", err.message);
+    }
 
     console.error("IPFS upload error:", {
       message: err.message,
@@ -323,6 +777,9 @@ const uploadHandler = async (req, res) => {
       timestamp: new Date().toISOString(),
     });
 
+    if (wantsTextResponse(req)) {
+      return sendRawUploadError(req, res, 500, "Failed to upload to IPFS", "Failed to upload to IPFS");
+    }
     res.status(500).json({
       error: "Failed to upload to IPFS",
       details: err.message,
@@ -330,10 +787,119 @@ const uploadHandler = async (req, res) => {
       message: "Failed to upload to IPFS",
       timestamp: new Date().toISOString(),
     });
+  } finally {
+    await unlinkSafe(tempFilePath, "Failed to delete temp file");
+  }
+};
+
+// Precheck handler - tells clients whether content is already on this node before they upload it
+// Takes either a multipart "file" (hashed with only-hash, nothing is stored) or JSON {cid, size, filename}
+// Authenticated callers may only skip content they pin themselves, their upload would add their own pin
+const precheckHandler = async (req, res) => {
+  try {
+    let cid;
+    let size;
+    let filename;
+
+    let addOptions;
+    try {
+      addOptions = readAddOptions(req);
+    } catch (err) {
+      return sendAddOptionsError(res, err);
+    }
+
+    if (req.file) {
+      filename = req.file.originalname;
+      size = req.file.size;
+
+      // Hash what /upload would store, which for images is the scrubbed file
+      if (readScrubOption(req)) {
+        size = (await scrubFile(req.file.path)).size;
+      }
+
+      const hashed = await addFile(req.file.path, {
+        filename,
+        contentType: mime.lookup(filename) || req.file.mimetype,
+        onlyHash: true,
+        addOptions,
+      });
+      cid = hashed.Hash;
+    } else {
+      const body = req.body || {};
+      cid = typeof body.cid === "string" ? body.cid.trim() : "";
+      filename = typeof body.filename === "string" ? body.filename : undefined;
+      size = body.size === undefined ? null : Number(body.size);
+
+      if (!/^[A-Za-z0-9]{46,128}$/.test(cid)) {
+        return res.status(400).json({
+          error: "Invalid CID",
+          status: "error",
+          message: "Send a file, or JSON with a cid (and optionally size and filename)",
+          timestamp: new Date().toISOString(),
+        });
+      }
+      if (size !== null && (!Number.isInteger(size) || size < 0)) {
+        return res.status(400).json({
+          error: "Invalid size",
+          status: "error",
+          message: "size must be a non-negative integer",
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    const author = req.user?.id;
+    if (!author && isDenied(cid)) {
+      return sendUploadError(res, 410, "Content deleted", deletedContentError(cid).message);
+    }
+
+    const [presence, pinned] = await Promise.all([getLocalPresence(cid), isPinned(cid)]);
+
+    // A client-computed CID only counts as present when the stored file has the claimed size
+    const sizeMatches = size === null || presence.size === null || presence.size === size;
+    const present = presence.local && sizeMatches;
+
+    // Skipping is safe when the upload would change nothing: for an author, when they already pin it;
+    // anonymously, when it is pinned, or stored and not going to be retained
+    const ownPin = author ? getPinByCid(cid, author) : null;
+    const pinnedByYou = author ? Boolean(ownPin && ownPin.status === "pinned") : null;
+    const skipUpload = author ? pinnedByYou : Boolean(pinned) || (present && !shouldRetain(size || 0));
+
+    console.log(`[PRECHECK] cid=${cid} present=${present} pinned=${Boolean(pinned)} authenticated=${Boolean(author)} skip=${skipUpload}`);
+
+    res.json({
+      status: "success",
+      cid,
+      ...cidForms(cid),
+      size: size !== null ? size : presence.size,
+      present,
+      pinned: Boolean(pinned),
+      pinnedByYou,
+      skipUpload,
+      url: await getGatewayUrl(cid, filename),
+      filename: filename || null,
+    });
+  } catch (err) {
+    console.error("Precheck error:", {
+      message: err.message,
+      timestamp: new Date().toISOString(),
+    });
+
+    res.status(500).json({
+      error: "Failed to precheck content",
+      details: err.message,
+      status: "error",
+      message: "Failed to precheck content",
+      timestamp: new Date().toISOString(),
+    });
+  } finally {
+    if (req.file) {
+      await unlinkSafe(req.file.path, "Failed to delete temp file");
+    }
   }
 };
 
-// Upload ZIP handler - extracts zip and uploads folder to IPFS
+// Upload archive handler - extracts zip/tar/tar.gz/gzip and uploads the folder to IPFS
 const uploadZipHandler = async (req, res) => {
   let zipPath = null;
   let extractDir = null;
@@ -349,51 +915,39 @@ const uploadZipHandler = async (req, res) => {
     }
 
     const originalName = req.file.originalname || "archive.zip";
-    const ext = path.extname(originalName).toLowerCase();
+    zipPath = req.file.path;
+
+    let addOptions;
+    try {
+      addOptions = readAddOptions(req);
+    } catch (err) {
+      return sendAddOptionsError(res, err);
+    }
 
-    if (ext !== ".zip") {
+    // Detect the format from magic bytes so misnamed archives still work
+    const format = await detectArchiveFormat(zipPath);
+    if (!format) {
       return res.status(400).json({
         error: "Invalid file type",
         status: "error",
-        message: "Only .zip archives are supported",
+        message: "Only .zip, .tar, .tar.gz, .tgz and .gz archives are supported",
         timestamp: new Date().toISOString(),
       });
     }
 
-    zipPath = req.file.path;
     extractDir = await fs.promises.mkdtemp(path.join(UPLOAD_TEMP_DIR, "zip-"));
 
-    const directory = await unzipper.Open.file(zipPath);
-    let extractedBytes = 0;
-    let extractedFiles = 0;
-
-    for (const entry of directory.files) {
-      if (entry.type === "Directory") continue;
-
-      const entryPath = String(entry.path || "").replace(/\\/g, "/").replace(/^\/+/, "");
-      if (!entryPath) continue;
-
-      if (!isSafeZipPath(extractDir, entryPath)) {
-        throw new Error(`Invalid zip entry path: ${entryPath}`);
-      }
-
-      const targetPath = path.resolve(extractDir, entryPath);
-      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
-
-      const written = await streamToFileWithLimit(entry.stream(), targetPath, FILE_LIMIT);
-      extractedBytes += written;
-      extractedFiles += 1;
-
-      if (extractedBytes > FILE_LIMIT) {
-        throw new Error(`Extracted size exceeds limit of ${formatBytes(FILE_LIMIT)}`);
-      }
-    }
+    let { bytes: extractedBytes, files: extractedFiles } = await extractArchive(zipPath, extractDir, {
+      format,
+      sizeLimit: FILE_LIMIT,
+      originalName,
+    });
 
     if (!extractedFiles) {
       return res.status(400).json({
         error: "Archive is empty",
         status: "error",
-        message: "Zip archive contained no files",
+        message: "Archive contained no files",
         timestamp: new Date().toISOString(),
       });
     }
@@ -403,26 +957,60 @@ const uploadZipHandler = async (req, res) => {
       return res.status(400).json({
         error: "Archive is empty",
         status: "error",
-        message: "Zip archive contained no files",
+        message: "Archive contained no files",
         timestamp: new Date().toISOString(),
       });
     }
 
+    // Website mode adds the site itself as the root directory, checked before anything else
+    const site = readWebsiteOption(req)
+      ? await prepareWebsite(files.map((filePath) => ({ path: path.relative(extractDir, filePath).split(path.sep).join("/"), filePath })))
+      : null;
+
+    // Every entry goes through the type policy and the scanner, a single refused file refuses the archive
+    const entryTypes = new Map();
+    const detectedTypes = {};
+    const scans = [];
+    for (const filePath of files) {
+      const relativePath = path.relative(extractDir, filePath).split(path.sep).join("/");
+      const { type, detectedType } = await checkFileTypeAt("zip", filePath, mime.lookup(filePath) || undefined, relativePath);
+      entryTypes.set(filePath, type);
+      detectedTypes[detectedType] = (detectedTypes[detectedType] || 0) + 1;
+      scans.push(await scanFile(filePath, { entryPath: relativePath }));
+    }
+
+    const metadataRemoved = [];
+    if (readScrubOption(req)) {
+      for (const filePath of files) {
+        const before = (await fs.promises.stat(filePath)).size;
+        const scrubbed = await scrubFile(filePath);
+        if (scrubbed.removed.length) {
+          extractedBytes -= before - scrubbed.size;
+          metadataRemoved.push({ path: path.relative(extractDir, filePath).split(path.sep).join("/"), removed: scrubbed.removed });
+        }
+      }
+    }
+
+    const quotaError = checkUploadQuota(req.user?.id, extractedBytes);
+    if (quotaError) {
+      return res.status(413).json(quotaError);
+    }
+
     const formData = new FormData();
     files.forEach((filePath) => {
       const relativePath = path.relative(extractDir, filePath).split(path.sep).join("/");
-      const mimeType = mime.lookup(filePath) || "application/octet-stream";
       formData.append("file", fs.createReadStream(filePath), {
-        filename: relativePath,
-        contentType: mimeType,
+        filepath: site ? site.paths.get(relativePath) : relativePath, // form-data reduces "filename" to its basename
+        contentType: entryTypes.get(filePath),
       });
     });
 
     const uploadStart = Date.now();
     console.log(`Starting IPFS folder upload for ${originalName} ...`);
 
+    const pinned = shouldPinUpload(req.user?.id, extractedBytes);
     const response = await axiosRequest({
-      url: `${IPFS_API}/api/v0/add?pin=false&wrap-with-directory=true&recursive=true`,
+      url: `${IPFS_API}/api/v0/add?pin=${pinned}&wrap-with-directory=true&recursive=true${toAddQuery(addOptions)}`,
       method: "POST",
       data: formData,
       headers: formData.getHeaders(),
@@ -439,6 +1027,14 @@ const uploadZipHandler = async (req, res) => {
     }
 
     const cid = rootEntry.Hash;
+    const { expiresAt, deleteToken } = await recordUpload({
+      author: req.user?.id,
+      cid,
+      size: extractedBytes,
+      filename: originalName,
+      mimeType: "inode/directory",
+      pinned,
+    });
     const uploadDetails = {
       name: originalName,
       files: extractedFiles,
@@ -453,10 +1049,19 @@ const uploadZipHandler = async (req, res) => {
     res.json({
       status: "success",
       cid,
+      ...cidForms(cid),
       url: await getGatewayUrl(cid),
       files: extractedFiles,
       size: extractedBytes,
       filename: originalName,
+      format,
+      detectedTypes,
+      pinned,
+      expiresAt,
+      deleteToken,
+      metadataRemoved,
+      scan: summarizeScans(scans),
+      website: site ? await describeWebsite(cid, site) : null,
     });
   } catch (err) {
     console.error("ZIP upload error:", {
@@ -465,7 +1070,27 @@ const uploadZipHandler = async (req, res) => {
       timestamp: new Date().toISOString(),
     });
 
-    res.status(500).json({
+    if (err.code === "UNSUPPORTED_TYPE") {
+      return sendTypeError(res, err);
+    }
+    if (isScanError(err)) {
+      return sendScanError(res, err);
+    }
+    if (err.code === "INVALID_WEBSITE") {
+      return sendUploadError(res, 422, "Invalid website", err.message);
+    }
+
+    // Unsafe, corrupt or oversized archives
+    if (err.status) {
+      return res.status(err.status).json({
+        error: err.message,
+        status: "error",
+        message: err.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.status(500).json({
       error: "Failed to upload zip to IPFS",
       details: err.message,
       status: "error",
@@ -482,71 +1107,461 @@ const uploadZipHandler = async (req, res) => {
   }
 };
 
-// Pins history endpoint
+// Normalize a client supplied relative path to forward slashes without leading "/" or "." segments
+const normalizeRelativePath = (value) => String(value || "")
+  .replace(/\\/g, "/")
+  .split("/")
+  .filter((segment) => segment && segment !== ".")
+  .join("/");
+
+// Upload folder handler - adds many files as one directory without zipping
+// Relative paths come from the repeated "path" field (same order as the files) or from each part's filename
+const uploadFolderHandler = async (req, res) => {
+  const uploadedFiles = req.files || [];
+
+  try {
+    if (!uploadedFiles.length) {
+      return res.status(400).json({
+        error: "No files uploaded",
+        status: "error",
+        message: "No files uploaded",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    let addOptions;
+    try {
+      addOptions = readAddOptions(req);
+    } catch (err) {
+      return sendAddOptionsError(res, err);
+    }
+
+    const suppliedPaths = [].concat(req.body.path || []);
+    const uploadedBytes = uploadedFiles.reduce((sum, file) => sum + file.size, 0);
+
+    // Same cumulative limit uploadZipHandler applies to extracted archives
+    if (uploadedBytes > FILE_LIMIT) {
+      return res.status(413).json({
+        error: "Folder too large",
+        status: "error",
+        message: `Total size exceeds limit of ${formatBytes(FILE_LIMIT)}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const quotaError = checkUploadQuota(req.user?.id, uploadedBytes);
+    if (quotaError) {
+      return res.status(413).json(quotaError);
+    }
+
+    const seenPaths = new Set();
+    const seenDirs = new Set(); // Parent directories of the paths seen so far
+    const entries = [];
+    const scans = [];
+
+    for (let i = 0; i < uploadedFiles.length; i++) {
+      const file = uploadedFiles[i];
+      const relativePath = normalizeRelativePath(suppliedPaths[i] || file.originalname);
+
+      if (!relativePath || relativePath.split("/").includes("..")) {
+        return res.status(400).json({
+          error: "Invalid file path",
+          status: "error",
+          message: `Invalid file path: ${suppliedPaths[i] || file.originalname}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (seenPaths.has(relativePath)) {
+        return res.status(400).json({
+          error: "Duplicate file path",
+          status: "error",
+          message: `Duplicate file path: ${relativePath}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      // A file and a directory of the same name ("a" and "a/b.txt") cannot both be added, like in archives
+      const parents = relativePath.split("/").slice(0, -1).map((_, index, segments) => segments.slice(0, index + 1).join("/"));
+      const clash = seenDirs.has(relativePath) ? relativePath : parents.find((parent) => seenPaths.has(parent));
+      if (clash) {
+        return res.status(400).json({
+          error: "File path clash",
+          status: "error",
+          message: `File path clashes with a file or directory of the same name: ${clash}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      seenPaths.add(relativePath);
+      parents.forEach((parent) => seenDirs.add(parent));
+      const { type, detectedType } = await checkFileTypeAt("zip", file.path, mime.lookup(relativePath) || file.mimetype, relativePath);
+      scans.push(await scanFile(file.path, { entryPath: relativePath }));
+      entries.push({ file, relativePath, size: file.size, type, detectedType, metadataRemoved: [] });
+    }
+
+    // Website mode adds the site itself as the root directory, every file moves to its path inside the site
+    let site = null;
+    if (readWebsiteOption(req)) {
+      site = await prepareWebsite(entries.map(({ file, relativePath }) => ({ path: relativePath, filePath: file.path })));
+      entries.forEach((entry) => {
+        entry.relativePath = site.paths.get(entry.relativePath);
+      });
+    }
+
+    let totalBytes = uploadedBytes;
+    if (readScrubOption(req)) {
+      for (const entry of entries) {
+        const scrubbed = await scrubFile(entry.file.path);
+        totalBytes -= entry.size - scrubbed.size;
+        entry.size = scrubbed.size;
+        entry.metadataRemoved = scrubbed.removed;
+      }
+    }
+
+    const formData = new FormData();
+    entries.forEach(({ file, relativePath, type }) => {
+      formData.append("file", fs.createReadStream(file.path), {
+        filepath: relativePath, // form-data reduces "filename" to its basename
+        contentType: type,
+      });
+    });
+
+    const uploadStart = Date.now();
+    console.log(`Starting IPFS folder upload for ${entries.length} files ...`);
+
+    const pinned = shouldPinUpload(req.user?.id, totalBytes);
+    const response = await axiosRequest({
+      url: `${IPFS_API}/api/v0/add?pin=${pinned}&wrap-with-directory=true${toAddQuery(addOptions)}`,
+      method: "POST",
+      data: formData,
+      headers: formData.getHeaders(),
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      responseType: "text",
+    }, 3600000);
+
+    const addedEntries = parseIpfsAddResponse(response.data);
+    const rootEntry = addedEntries[addedEntries.length - 1];
+
+    if (!rootEntry || !rootEntry.Hash) {
+      throw new Error("Invalid IPFS response for folder upload");
+    }
+
+    const cid = rootEntry.Hash;
+    const addedByName = new Map(addedEntries.map((entry) => [entry.Name, entry]));
+    const files = await Promise.all(entries.map(async ({ relativePath, size, type, detectedType, metadataRemoved }) => {
+      const added = addedByName.get(relativePath);
+      return {
+        path: relativePath,
+        cid: added ? added.Hash : null,
+        ...cidForms(added ? added.Hash : null),
+        size,
+        type,
+        detectedType,
+        url: added ? await getGatewayUrl(added.Hash, path.posix.basename(relativePath)) : null,
+        metadataRemoved,
+      };
+    }));
+
+    const { expiresAt, deleteToken } = await recordUpload({
+      author: req.user?.id,
+      cid,
+      size: totalBytes,
+      filename: null,
+      mimeType: "inode/directory",
+      pinned,
+    });
+
+    console.log("Folder uploaded successfully:", {
+      files: files.length,
+      size_bytes: totalBytes,
+      cid,
+      upload_duration_ms: Date.now() - uploadStart,
+      timestamp: new Date().toISOString(),
+    });
+
+    res.json({
+      status: "success",
+      cid,
+      ...cidForms(cid),
+      url: await getGatewayUrl(cid),
+      size: totalBytes,
+      count: files.length,
+      files,
+      pinned,
+      expiresAt,
+      deleteToken,
+      scan: summarizeScans(scans),
+      website: site ? await describeWebsite(cid, site) : null,
+    });
+  } catch (err) {
+    if (err.code === "UNSUPPORTED_TYPE") {
+      return sendTypeError(res, err);
+    }
+    if (isScanError(err)) {
+      return sendScanError(res, err);
+    }
+    if (err.code === "CONTENT_DELETED") {
+      return sendUploadError(res, 410, "Content deleted", err.message);
+    }
+    if (err.code === "INVALID_WEBSITE") {
+      return sendUploadError(res, 422, "Invalid website", err.message);
+    }
+
+    console.error("Folder upload error:", {
+      message: err.message,
+      stack: err.stack,
+      timestamp: new Date().toISOString(),
+    });
+
+    res.status(500).json({
+      error: "Failed to upload folder to IPFS",
+      details: err.message,
+      status: "error",
+      message: "Failed to upload folder to IPFS",
+      timestamp: new Date().toISOString(),
+    });
+  } finally {
+    for (const file of uploadedFiles) {
+      await unlinkSafe(file.path, "Failed to delete temp file");
+    }
+  }
+};
+
+const CAR_MIME_TYPE = "application/vnd.ipld.car";
+
+const carImportError = (message) => {
+  const error = new Error(message);
+  error.code = "INCOMPLETE_CAR";
+  error.status = 422;
+  return error;
+};
+
+// CAR import - POST /uploadcar
+// The blocks go in as they are, so the roots keep the CIDs they were built with elsewhere.
+// Every root the header declares must arrive with its complete DAG, and each one is recorded like an upload
+const uploadCarHandler = async (req, res) => {
+  let filePath = null;
+  let pinned = false;
+  let roots = [];
+  const recorded = new Set();
+
+  try {
+    if (!req.file) {
+      return sendUploadError(res, 400, "No file uploaded", "No file uploaded");
+    }
+
+    filePath = req.file.path;
+    const originalName = req.file.originalname || "upload.car";
+    const author = req.user?.id;
+
+    const header = await readCarHeader(filePath);
+    roots = header.roots;
+
+    // Only anonymous imports are refused, an author importing deleted content lifts its denylist entry on record
+    const deletedRoot = author ? null : roots.find((cid) => isDenied(cid));
+    if (deletedRoot) {
+      throw deletedContentError(deletedRoot);
+    }
+
+    const scan = await scanFile(filePath, { name: originalName });
+
+    const quotaError = checkUploadQuota(author, req.file.size, roots.length);
+    if (quotaError) {
+      return res.status(413).json(quotaError);
+    }
+
+    const uploadStart = Date.now();
+    pinned = shouldPinUpload(author, req.file.size);
+    const imported = await importCar(filePath, { pin: pinned });
+
+    // dag/import accepts CARs that leave DAGs incomplete, only a pinned root reports it
+    const pinErrors = new Map(imported.roots.filter((root) => root.pinError).map((root) => [toCidV1(root.cid), root.pinError]));
+    const stats = [];
+    for (const cid of roots) {
+      const pinError = pinErrors.get(toCidV1(cid));
+      const stat = pinError ? null : await getDagStat(cid);
+      if (!stat) {
+        throw carImportError(`Root ${cid} is missing blocks, the CAR does not hold its complete DAG${pinError ? ` (${pinError})` : ""}`);
+      }
+      stats.push(stat);
+    }
+
+    const results = [];
+    for (const [index, cid] of roots.entries()) {
+      const { size, blocks } = stats[index];
+      const { expiresAt, deleteToken } = await recordUpload({ author, cid, size, filename: originalName, mimeType: CAR_MIME_TYPE, pinned });
+      recorded.add(cid);
+      results.push({ cid, ...cidForms(cid), url: await getGatewayUrl(cid), size, blocks, expiresAt, deleteToken });
+    }
+
+    console.log(`[CAR] IMPORTED file=${originalName} version=${header.version} roots=${roots.length} blocks=${imported.blocks} bytes=${imported.bytes} pinned=${pinned} ms=${Date.now() - uploadStart}`);
+
+    res.json({
+      status: "success",
+      cid: results[0].cid,
+      url: results[0].url,
+      roots: results,
+      filename: originalName,
+      version: header.version,
+      size: req.file.size,
+      blocks: imported.blocks,
+      pinned,
+      scan,
+    });
+  } catch (err) {
+    // Pins taken for roots that never got recorded are released again
+    if (pinned) {
+      for (const cid of roots.filter((root) => !recorded.has(root))) {
+        await releaseIfUnreferenced(cid);
+      }
+    }
+
+    if (err.code === "INVALID_CAR" || err.code === "INCOMPLETE_CAR") {
+      return sendUploadError(res, err.status, err.code === "INVALID_CAR" ? "Invalid CAR file" : "Incomplete CAR file", err.message);
+    }
+    if (isScanError(err)) {
+      return sendScanError(res, err);
+    }
+    if (err.code === "CONTENT_DELETED") {
+      return sendUploadError(res, 410, "Content deleted", err.message);
+    }
+
+    console.error("CAR import error:", {
+      message: err.message,
+      stack: err.stack,
+      timestamp: new Date().toISOString(),
+    });
+
+    res.status(500).json({
+      error: "Failed to import CAR file",
+      details: err.message,
+      status: "error",
+      message: "Failed to import CAR file",
+      timestamp: new Date().toISOString(),
+    });
+  } finally {
+    if (filePath) {
+      await unlinkSafe(filePath, "Failed to delete temp CAR file");
+    }
+  }
+};
+
+// CAR export - GET /car/:cid streams a DAG stored on this node as a CARv1
+// Blocks are never fetched from the network, a DAG that is not complete here is a 404
+const carExportHandler = async (req, res) => {
+  const { cid } = req.params;
+  if (!toCidV1(cid)) {
+    return sendUploadError(res, 400, "Invalid CID", `${cid} is not a CID`);
+  }
+  if (isDenied(cid)) {
+    return sendUploadError(res, 410, "Content deleted", "This content was deleted from this node");
+  }
+
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  let stream;
+  try {
+    const stat = await getDagStat(cid);
+    if (!stat) {
+      return sendUploadError(res, 404, "Not found", `${cid} is not stored completely on this node`);
+    }
+
+    stream = await exportCar(cid, controller.signal);
+    console.log(`[CAR] EXPORT_STARTED cid=${cid} blocks=${stat.blocks} size=${stat.size}`);
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error(`[CAR] EXPORT_FAILED cid=${cid} reason=${err.message}`);
+    return sendUploadError(res, 502, "Failed to export CAR", err.message);
+  }
+
+  res.set({
+    "Content-Type": `${CAR_MIME_TYPE}; version=1`,
+    "Content-Disposition": `attachment; filename="${cid}.car"`,
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "public, max-age=29030400, immutable",
+  });
+
+  try {
+    await pipeline(stream, res);
+  } catch (err) {
+    // Headers are out by now, a cut-off response is all the client can get
+    if (!controller.signal.aborted) console.error(`[CAR] EXPORT_FAILED cid=${cid} reason=${err.message}`);
+  }
+};
+
+// Pins overview endpoint - pins grouped by author with per-author stats
 const pinsHandler = async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 50, 200);
     const offset = parseInt(req.query.offset) || 0;
+    const pinsPerAuthor = Math.min(parseInt(req.query.pins) || 10, 100);
 
-    // Get pins grouped by NPUB
-    const groupedPins = getPinsGroupedByNpub(limit, offset);
+    // Get pins grouped by author, paginated over authors
+    const { groups, totalAuthors } = getPinsGroupedByNpub(limit, offset, pinsPerAuthor);
 
-    // Build response with stats for each NPUB
+    // Build response with stats for each author
     const npubData = {};
-    Object.keys(groupedPins).forEach(npub => {
-      const pins = groupedPins[npub];
-      const stats = getStatsByNpub(npub);
-      const totalCount = countByNpub(npub);
+    Object.keys(groups).forEach(author => {
+      const pins = groups[author];
+      const stats = getStatsByNpub(author);
+      const totalCount = countByNpub(author);
 
       // Calculate totals
+      const countByStatus = (status) => stats
+        .filter(s => s.status === status)
+        .reduce((sum, s) => sum + s.count, 0);
       const totalSize = stats.reduce((sum, stat) => sum + (stat.total_size || 0), 0);
-      const pinnedCount = stats.find(s => s.status === 'pinned')?.count || 0;
-      const pendingCount = stats.find(s => s.status === 'pending')?.count || 0;
-      const failedCount = stats.find(s => s.status === 'failed')?.count || 0;
+
+      // Public instances can hide who pinned what
+      const npub = HIDE_AUTHORS ? anonymizeAuthor(author) : (hexToNpub(author) || author);
 
       npubData[npub] = {
         npub,
+        ...(HIDE_AUTHORS ? {} : { author }),
         pins: pins.map(pin => ({
           id: pin.id,
           eventId: pin.event_id,
           cid: pin.cid,
           size: pin.size,
           timestamp: pin.timestamp,
-          author: pin.author,
           type: pin.type,
           status: pin.status,
+          name: pin.name || null,
+          tags: pin.tags || [],
           createdAt: pin.created_at,
           updatedAt: pin.updated_at,
-          // npub: pin.npub,
         })),
         stats: {
           total: totalCount,
-          pinned: pinnedCount,
-          pending: pendingCount,
-          failed: failedCount,
+          pinned: countByStatus('pinned'),
+          pending: countByStatus('pending'),
+          failed: countByStatus('failed'),
           totalSize: totalSize,
         },
         pagination: {
-          limit,
-          offset,
+          limit: pinsPerAuthor,
           total: totalCount,
-          hasMore: offset + limit < totalCount,
+          hasMore: pinsPerAuthor < totalCount,
         },
       };
     });
 
-    const total = getTotalCount();
     const globalStats = getStats();
 
     res.json({
       success: true,
+      authorsHidden: HIDE_AUTHORS,
       byNpub: npubData,
       pagination: {
         limit,
         offset,
-        total,
-        hasMore: offset + limit < total,
+        total: totalAuthors,
+        hasMore: offset + limit < totalAuthors,
       },
+      totalPins: getTotalCount(),
       stats: globalStats.reduce((acc, stat) => {
         const key = `${stat.type}_${stat.status}`;
         acc[key] = {
@@ -565,58 +1580,15 @@ const pinsHandler = async (req, res) => {
   }
 };
 
-// Remote upload handler - downloads URL and uploads to IPFS, returns JSON
-const remoteUploadHandler = async (req, res) => {
+// Remote upload - downloads a URL and adds it to IPFS, shared by the synchronous request and background jobs
+// onProgress({state, received, total, added}) follows the download and the add
+const performRemoteUpload = async ({ targetUrl, url, author, addOptions, scrub, signal, onProgress = () => {} }) => {
   const crypto = require("crypto");
-  const path = require("path");
   let tempFilePath = null;
 
-  // Check concurrency limit
-  if (activeDownloads >= MAX_CONCURRENT_DOWNLOADS) {
-    return res.status(429).json({
-      error: "Too many concurrent downloads",
-      status: "error",
-      message: `Maximum ${MAX_CONCURRENT_DOWNLOADS} concurrent downloads in progress. Please try again later.`,
-      activeDownloads: activeDownloads,
-      maxConcurrent: MAX_CONCURRENT_DOWNLOADS,
-      timestamp: new Date().toISOString(),
-    });
-  }
-
-  // Increment active downloads counter
-  activeDownloads++;
-  console.log(`[REMOTE-UPLOAD] Active downloads: ${activeDownloads}/${MAX_CONCURRENT_DOWNLOADS}`);
-
   try {
-    // Extract URL from request body
-    const { url: targetUrl } = req.body;
-
-    if (!targetUrl) {
-      return res.status(400).json({
-        error: "No URL provided",
-        status: "error",
-        message: "Request body must contain 'url' field",
-        timestamp: new Date().toISOString(),
-      });
-    }
-
-    // Validate URL format
-    let url;
-    try {
-      url = new URL(targetUrl);
-      if (!["http:", "https:"].includes(url.protocol)) {
-        throw new Error("Only HTTP and HTTPS protocols are supported");
-      }
-    } catch (err) {
-      return res.status(400).json({
-        error: "Invalid URL",
-        status: "error",
-        message: err.message,
-        timestamp: new Date().toISOString(),
-      });
-    }
-
     console.log(`[REMOTE-UPLOAD] Starting download from: ${targetUrl}`);
+    onProgress({ state: "downloading" });
 
     // Download the file with fetch streaming support
     const downloadStart = Date.now();
@@ -624,10 +1596,12 @@ const remoteUploadHandler = async (req, res) => {
       url: targetUrl,
       method: "GET",
       maxRedirects: 5,
+      signal,
     }, 1800000);
 
     const contentLength = Number(response.headers["content-length"]) || 0;
     if (contentLength && contentLength > PROXY_FILE_LIMIT) {
+      response.data.destroy();
       const error = new Error(`File size exceeds limit of ${formatBytes(PROXY_FILE_LIMIT)}`);
       error.code = "FILE_TOO_LARGE";
       throw error;
@@ -654,48 +1628,75 @@ const remoteUploadHandler = async (req, res) => {
     const randomName = crypto.randomBytes(16).toString("hex");
     tempFilePath = path.join(UPLOAD_TEMP_DIR, randomName);
 
-    // Create write stream
-    const downloadedSize = await streamToFileWithLimit(response.data, tempFilePath, PROXY_FILE_LIMIT);
+    // Count the download as it is written to the temp file
+    let received = 0;
+    const download = streamToFileWithLimit(response.data, tempFilePath, PROXY_FILE_LIMIT);
+    response.data.on("data", (chunk) => {
+      received += chunk.length;
+      onProgress({ received, total: contentLength || null });
+    });
+    let downloadedSize = await download;
 
     const downloadDuration = Date.now() - downloadStart;
     console.log(`[REMOTE-UPLOAD] Downloaded ${formatBytes(downloadedSize)} in ${downloadDuration}ms`);
 
-    // Upload to IPFS
-    const formData = new FormData();
-    formData.append("file", fs.createReadStream(tempFilePath), { filename });
+    // The remote Content-Type is only a claim, checked against the file's signature
+    const { type: checkedType, detectedType } = await checkFileTypeAt("remote", tempFilePath, mimeType);
+    mimeType = checkedType;
+    const scan = await scanFile(tempFilePath, { name: filename });
+
+    let metadataRemoved = [];
+    if (scrub) {
+      const scrubbed = await scrubFile(tempFilePath);
+      metadataRemoved = scrubbed.removed;
+      downloadedSize = scrubbed.size;
+    }
 
+    const quotaError = checkUploadQuota(author, downloadedSize);
+    if (quotaError) {
+      const error = new Error(quotaError.message);
+      error.code = "QUOTA_EXCEEDED";
+      error.body = quotaError;
+      throw error;
+    }
+
+    // Upload to IPFS
     const uploadStart = Date.now();
     console.log(`[REMOTE-UPLOAD] Starting IPFS upload for ${filename}...`);
+    onProgress({ state: "adding", total: downloadedSize });
 
-    const ipfsResponse = await axiosRequest({
-      url: `${IPFS_API}/api/v0/add?pin=false`,
-      method: "POST",
-      data: formData,
-      headers: formData.getHeaders(),
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
-    }, 3600000);
-
-    const ipfsJson = ipfsResponse.data;
+    const pinned = shouldPinUpload(author, downloadedSize);
+    const ipfsJson = await addFile(tempFilePath, {
+      filename,
+      contentType: mimeType,
+      pin: pinned,
+      addOptions,
+      signal,
+      onProgress: (added) => onProgress({ added }),
+    });
 
     const uploadDuration = Date.now() - uploadStart;
     const cid = ipfsJson.Hash;
+    const { expiresAt, deleteToken } = await recordUpload({ author, cid, size: downloadedSize, filename, mimeType, pinned });
 
     console.log(`[REMOTE-UPLOAD] Upload complete: CID=${cid}, duration=${uploadDuration}ms`);
 
-    // Clean up temp file
-    await unlinkSafe(tempFilePath, "[REMOTE-UPLOAD] Failed to delete temp file");
-    tempFilePath = null;
-
     // Return JSON response with detailed information
     const uploadDetails = {
       status: "success",
       cid: cid,
+      ...cidForms(cid),
       url: await getGatewayUrl(cid, filename),
       filename: filename,
       size: downloadedSize,
       type: mimeType,
+      detectedType,
       sourceUrl: targetUrl,
+      pinned,
+      expiresAt,
+      deleteToken,
+      metadataRemoved,
+      scan,
       timing: {
         download_ms: downloadDuration,
         upload_ms: uploadDuration,
@@ -705,110 +1706,349 @@ const remoteUploadHandler = async (req, res) => {
     };
 
     console.log(`[REMOTE-UPLOAD] Success:`, uploadDetails);
+    return uploadDetails;
+  } finally {
+    // Clean up temp file
+    await unlinkSafe(tempFilePath, "[REMOTE-UPLOAD] Failed to delete temp file");
+  }
+};
+
+// Map a remote upload failure to the response it gets, {statusCode, body}
+const remoteUploadError = (err) => {
+  const failure = (statusCode, body) => ({ statusCode, body: { ...body, timestamp: new Date().toISOString() } });
+
+  // File size limit error
+  if (err.code === "FILE_TOO_LARGE") {
+    return failure(413, { error: "File too large", status: "error", message: err.message, limit: formatBytes(PROXY_FILE_LIMIT) });
+  }
+
+  if (err.code === "QUOTA_EXCEEDED") {
+    return { statusCode: 413, body: err.body };
+  }
+
+  if (err.code === "CONTENT_DELETED") {
+    return failure(410, { error: "Content deleted", status: "error", message: err.message });
+  }
+
+  if (err.code === "UNSUPPORTED_TYPE") {
+    return { statusCode: 415, body: typeErrorBody(err) };
+  }
+
+  if (isScanError(err)) {
+    return { statusCode: err.status, body: scanErrorBody(err) };
+  }
+
+  // Timeout
+  if (err.code === "ECONNABORTED" || err.message?.toLowerCase().includes("timeout")) {
+    return failure(504, { error: "Download timeout", status: "error", message: "Timeout during download", details: err.message || "Request timeout" });
+  }
+
+  // HTTP error
+  if (err.status) {
+    return failure(err.status, { error: "HTTP error", status: "error", message: err.message });
+  }
+
+  // Network errors
+  if (err.name === "TypeError" || err.code === "ENOTFOUND" || err.code === "ECONNREFUSED") {
+    return failure(502, {
+      error: "Failed to download URL",
+      status: "error",
+      message: "Could not connect to the remote server",
+      details: err.message,
+    });
+  }
 
-    res.json(uploadDetails);
+  // Fallback for any other errors
+  return failure(500, { error: "Remote upload failed", status: "error", message: err.message });
+};
 
+const logRemoteUploadError = (err) => {
+  console.error("[REMOTE-UPLOAD] Error:", {
+    message: err.message,
+    code: err.code,
+    name: err.name,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Remote upload handler - downloads URL and uploads to IPFS, returns JSON
+// async=true queues the upload as a background job instead and answers 202 with its id (GET /jobs/:id)
+const remoteUploadHandler = async (req, res) => {
+  // Extract URL from request body
+  const { url: targetUrl } = req.body;
+  const runAsync = String(req.query.async !== undefined ? req.query.async : req.body.async) === "true";
+
+  let addOptions;
+  try {
+    addOptions = readAddOptions(req);
   } catch (err) {
-    // Clean up temp file on error
-    await unlinkSafe(tempFilePath, "[REMOTE-UPLOAD] Failed to delete temp file on error");
+    return sendAddOptionsError(res, err);
+  }
 
-    console.error("[REMOTE-UPLOAD] Error:", {
-      message: err.message,
-      code: err.code,
-      name: err.name,
+  if (!targetUrl) {
+    return res.status(400).json({
+      error: "No URL provided",
+      status: "error",
+      message: "Request body must contain 'url' field",
       timestamp: new Date().toISOString(),
     });
+  }
 
-    // Handle specific error types
-
-    // File size limit error
-    if (err.code === "FILE_TOO_LARGE") {
-      return res.status(413).json({
-        error: "File too large",
-        status: "error",
-        message: err.message,
-        limit: formatBytes(PROXY_FILE_LIMIT),
-        timestamp: new Date().toISOString(),
-      });
+  // Validate URL format
+  let url;
+  try {
+    url = new URL(targetUrl);
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new Error("Only HTTP and HTTPS protocols are supported");
     }
+  } catch (err) {
+    return res.status(400).json({
+      error: "Invalid URL",
+      status: "error",
+      message: err.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
 
-    // Timeout
-    if (err.code === "ECONNABORTED" || err.message?.toLowerCase().includes("timeout")) {
-      return res.status(504).json({
-        error: "Download timeout",
-        status: "error",
-        message: "Timeout during download",
-        details: err.message || "Request timeout",
-        timestamp: new Date().toISOString(),
-      });
-    }
+  const upload = { targetUrl, url, author: req.user?.id, addOptions, scrub: readScrubOption(req) };
 
-    // HTTP error
-    if (err.status) {
-      return res.status(err.status).json({
-        error: "HTTP error",
-        status: "error",
-        message: err.message,
-        timestamp: new Date().toISOString(),
-      });
-    }
+  if (runAsync) {
+    const job = enqueueJob("remoteupload", { sourceUrl: targetUrl }, async ({ signal, update }) => {
+      try {
+        return { statusCode: 200, body: await performRemoteUpload({ ...upload, signal, onProgress: update }) };
+      } catch (err) {
+        if (!signal.aborted) logRemoteUploadError(err);
+        return remoteUploadError(err);
+      }
+    });
 
-    // Network errors
-    if (err.name === "TypeError" || err.code === "ENOTFOUND" || err.code === "ECONNREFUSED") {
-      return res.status(502).json({
-        error: "Failed to download URL",
+    if (!job) {
+      return res.status(503).json({
+        error: "Job queue full",
         status: "error",
-        message: "Could not connect to the remote server",
-        details: err.message,
+        message: "Too many remote uploads are waiting. Please try again later.",
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Fallback for any other errors
-    res.status(500).json({
-      error: "Remote upload failed",
+    return res.status(202).location(`/jobs/${job.id}`).json({
+      status: "queued",
+      jobId: job.id,
+      statusUrl: `/jobs/${job.id}`,
+      job: describeJob(job),
+    });
+  }
+
+  // Synchronous uploads share the background job workers, so REMOTE_UPLOAD_WORKERS caps all downloads
+  if (!acquireWorker()) {
+    const { active, queued } = getJobStats();
+    return res.status(429).json({
+      error: "Too many concurrent downloads",
       status: "error",
-      message: err.message,
+      message: `Maximum ${REMOTE_UPLOAD_WORKERS} concurrent downloads in progress. Please try again later, or send async=true to queue the upload.`,
+      activeDownloads: active,
+      queuedJobs: queued,
+      maxConcurrent: REMOTE_UPLOAD_WORKERS,
       timestamp: new Date().toISOString(),
     });
+  }
+  console.log(`[REMOTE-UPLOAD] Active downloads: ${getJobStats().active}/${REMOTE_UPLOAD_WORKERS}`);
+
+  try {
+    res.json(await performRemoteUpload(upload));
+  } catch (err) {
+    logRemoteUploadError(err);
+    const { statusCode, body } = remoteUploadError(err);
+    res.status(statusCode).json(body);
   } finally {
-    // Always decrement the counter, even on errors
-    activeDownloads--;
-    console.log(`[REMOTE-UPLOAD] Download complete. Active downloads: ${activeDownloads}/${MAX_CONCURRENT_DOWNLOADS}`);
+    // Always give the worker back, even on errors
+    releaseWorker();
+    console.log(`[REMOTE-UPLOAD] Download complete. Active downloads: ${getJobStats().active}/${REMOTE_UPLOAD_WORKERS}`);
+  }
+};
+
+// Background job status - GET /jobs/:id
+// The deletion token of a finished upload is only in the first response that reports it done
+const jobStatusHandler = (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return sendUploadError(res, 404, "Job not found", "The job is unknown or finished more than an hour ago");
+  }
+  res.json(describeJob(job, { claim: true }));
+};
+
+// Cancel a background job - DELETE /jobs/:id
+const jobCancelHandler = (req, res) => {
+  const job = cancelJob(req.params.id);
+  if (!job) {
+    return sendUploadError(res, 404, "Job not found", "The job is unknown or finished more than an hour ago");
+  }
+  res.json(describeJob(job));
+};
+
+// Delete handler - takes an anonymous upload down with the deletion token from its upload response
+// Unpins it (unless a user pin holds it), removes its unreferenced blocks and, unless an author pins it,
+// denylists it so it is not added again anonymously
+const deleteHandler = async (req, res) => {
+  const { cid, token } = req.body || {};
+  if (typeof cid !== "string" || !cid.trim() || typeof token !== "string" || !token) {
+    return sendUploadError(res, 400, "Invalid request", "cid and token are required");
+  }
+
+  const record = findDeletionToken(cid.trim(), token);
+  if (!record) {
+    return sendUploadError(res, 403, "Invalid deletion token", "The token is unknown, expired or belongs to other content");
+  }
+
+  try {
+    const { denied, unpinned, removed, kept } = await deleteContent(record.cid);
+    res.json({
+      status: "success",
+      cid: record.cid,
+      deleted: true,
+      denylisted: denied,
+      unpinned,
+      blocksRemoved: removed,
+      blocksKept: kept,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error(`[DELETE] Delete failed cid=${record.cid}: ${err.message}`);
+    sendUploadError(res, 500, "Failed to delete content", err.message);
+  }
+};
+
+// Record and queue pins for a user, enforcing quotas
+// requests: [{cid, labels}] as produced by parsePinEntry
+// Returns {statusCode, body} for the caller to send
+const addPinsForUser = async (userId, requests) => {
+  const cids = requests.map((request) => request.cid);
+  const results = [];
+
+  // Reject the whole batch up front when it cannot fit the pin count quota
+  const newCids = cids.filter((cid) => {
+    const existing = getPinByCid(cid, userId);
+    return !existing || existing.status === 'failed';
+  });
+  const countCheck = checkQuota(userId, { pins: newCids.length });
+  if (!countCheck.ok) {
+    return {
+      statusCode: 413,
+      body: {
+        error: "Quota exceeded",
+        message: countCheck.reason,
+        quota: formatQuotaSummary(getQuotaSummary(userId)),
+      },
+    };
   }
+
+  let rejected = 0;
+
+  for (const { cid, labels } of requests) {
+    // Content already pinned in Kubo is recorded right away, everything else goes to the pin queue
+    const alreadyPinned = await isPinned(cid);
+    const size = alreadyPinned ? await getCidSize(cid) : 0;
+
+    const existing = getPinByCid(cid, userId);
+    const existingSize = existing && existing.status !== 'failed' ? existing.size || 0 : 0;
+    const byteCheck = checkQuota(userId, { bytes: size - existingSize });
+    if (!byteCheck.ok) {
+      rejected++;
+      results.push({ cid, status: byteCheck.reason, pinned: false, error: "quota_exceeded" });
+      continue;
+    }
+
+    // An author pinning content deleted with an anonymous token lifts its denylist entry
+    allowContent(cid);
+    recordPin({
+      cid,
+      author: userId,
+      type: 'user_pin',
+      size,
+      status: alreadyPinned ? 'pinned' : 'pending',
+      timestamp: Date.now(),
+      ...labels,
+    });
+
+    if (alreadyPinned) {
+      results.push({ cid, status: `Already pinned (${(size / 1024 / 1024).toFixed(2)} MB)`, pinned: true });
+    } else {
+      const job = enqueuePin(cid);
+      results.push({ cid, status: "Pin queued", pinned: false, state: job.state });
+    }
+  }
+
+  const quota = formatQuotaSummary(getQuotaSummary(userId));
+
+  if (rejected && rejected === cids.length) {
+    return { statusCode: 413, body: { error: "Quota exceeded", message: results[0].status, results, quota } };
+  }
+
+  return { statusCode: 200, body: { success: true, results, quota } };
 };
 
 // Add Pin Handler (Auth required)
 const pinAddHandler = async (req, res) => {
   try {
-    const { cids } = req.body;
-    if (!Array.isArray(cids)) {
+    const { cids: entries } = req.body;
+    if (!Array.isArray(entries)) {
       return res.status(400).json({ error: "cids must be an array" });
     }
 
-    const userId = req.user.id;
-    const results = [];
+    let requests;
+    try {
+      requests = entries.map(parsePinEntry);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
 
-    for (const cid of cids) {
-      // pinCid handles pinning logic
-      const result = await pinCid(cid);
-
-      // Record in DB
-      recordPin({
-        cid,
-        author: userId,
-        type: 'user_pin',
-        status: result.alreadyPinned ? 'pinned' : 'pending',
-        timestamp: Date.now(),
-        // other fields implicit in recordPin or handled by it
-      });
+    const { statusCode, body } = await addPinsForUser(req.user.id, requests);
+    res.status(statusCode).json(body);
+  } catch (err) {
+    console.error("Pin add error:", err);
+    res.status(500).json({ error: err.message });
+  }
+};
 
-      results.push({ cid, status: result.message, pinned: result.success || result.alreadyPinned });
+// Export Pins Handler (Auth required) - manifest of the caller's pins, returned UNSIGNED
+// The server never holds the user's private key: the client signs `digest` with it and fills in `signature`
+// (null here) before sending the manifest to /pin/import, which rejects it unsigned
+const pinExportHandler = async (req, res) => {
+  try {
+    const { pins } = queryPins({ author: req.user.id, limit: Infinity, sort: 'created_at', order: 'asc' });
+    const { manifest, digest } = buildManifest(req.user.id, pins.filter((pin) => pin.status !== 'failed'));
+
+    res.setHeader("Content-Disposition", `attachment; filename="originless-pins-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.json({ manifest, digest, signature: null });
+  } catch (err) {
+    console.error("Pin export error:", err);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Import Pins Handler (Auth required) - queues the pins of a manifest signed by the caller
+const pinImportHandler = async (req, res) => {
+  try {
+    let manifest;
+    let requests;
+    try {
+      manifest = verifyManifest(req.body, req.user.id);
+      requests = manifest.pins.map((pin) => parsePinEntry({
+        cid: pin.cid,
+        name: pin.name ?? undefined,
+        tags: pin.tags ?? undefined,
+        note: pin.note ?? undefined,
+      }));
+    } catch (err) {
+      return res.status(400).json({ error: "Invalid manifest", message: err.message });
     }
 
-    res.json({ success: true, results });
+    console.log(`[PIN] MANIFEST_IMPORT author=${req.user.id} pins=${requests.length} exported_at=${manifest.exportedAt}`);
+
+    const { statusCode, body } = await addPinsForUser(req.user.id, requests);
+    res.status(statusCode).json({ ...body, imported: requests.length });
   } catch (err) {
-    console.error("Pin add error:", err);
+    console.error("Pin import error:", err);
     res.status(500).json({ error: err.message });
   }
 };
@@ -818,8 +2058,76 @@ const pinListHandler = async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 50, 100);
     const offset = parseInt(req.query.offset) || 0;
-    const pins = getPinsByAuthor(req.user.id, limit, offset);
-    res.json({ success: true, pins });
+
+    let minSize;
+    let maxSize;
+    try {
+      minSize = parseSizeQuery(req.query.minSize);
+      maxSize = parseSizeQuery(req.query.maxSize);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const { pins, total } = queryPins({
+      author: req.user.id,
+      tag: req.query.tag,
+      status: req.query.status,
+      type: req.query.type,
+      name: req.query.name,
+      minSize,
+      maxSize,
+      sort: req.query.sort,
+      order: req.query.order,
+      limit,
+      offset,
+    });
+    const quota = formatQuotaSummary(getQuotaSummary(req.user.id));
+
+    res.json({
+      success: true,
+      pins,
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + limit < total,
+      },
+      quota,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Pin Status Handler (Auth required) - reports job progress for one of the caller's pins
+const pinStatusHandler = async (req, res) => {
+  try {
+    const { cid } = req.params;
+    const pin = getPinByCid(cid, req.user.id);
+
+    if (!pin) {
+      return res.status(404).json({ error: "Pin not found" });
+    }
+
+    const job = getPinJob(cid);
+
+    res.json({
+      success: true,
+      cid,
+      status: pin.status,
+      size: pin.size,
+      error: pin.error || null,
+      updated_at: pin.updated_at,
+      job: job ? {
+        state: job.state,
+        blocks: job.blocks,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextRetryAt: job.nextRetryAt ? new Date(job.nextRetryAt).toISOString() : null,
+        startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      } : null,
+      queue: getQueueStats(),
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -831,21 +2139,21 @@ const pinRemoveHandler = async (req, res) => {
     const { cid } = req.body;
     if (!cid) return res.status(400).json({ error: "CID required" });
 
-    // Verify ownership
-    const pin = getPinByCid(cid);
+    // Only the caller's own reference can be removed
+    const pin = getPinByCid(cid, req.user.id);
     if (!pin) {
-      // If not in DB, maybe just try to unpin from IPFS if user claims it?
-      // But for security, we only allow removing tracked pins.
       return res.status(404).json({ error: "Pin not found" });
     }
 
-    if (pin.author !== req.user.id) {
-      return res.status(403).json({ error: "Not authorized to remove this pin" });
+    deletePin(cid, req.user.id);
+
+    // Kubo's pin is only dropped once no other author or upload retention holds the CID
+    const unpinned = await releaseIfUnreferenced(cid);
+    if (unpinned) {
+      cancelPin(cid);
     }
 
-    await unpinCid(cid);
-    deletePin(cid);
-    res.json({ success: true, cid });
+    res.json({ success: true, cid, unpinned });
   } catch (err) {
     console.error("Pin remove error:", err);
     res.status(500).json({ error: err.message });
@@ -856,10 +2164,22 @@ module.exports = {
   healthHandler,
   statusHandler,
   uploadHandler,
+  streamUploadHandler,
+  rawUploadHandler,
+  precheckHandler,
   uploadZipHandler,
+  uploadFolderHandler,
+  uploadCarHandler,
+  carExportHandler,
   pinsHandler,
   remoteUploadHandler,
+  jobStatusHandler,
+  jobCancelHandler,
+  deleteHandler,
   pinAddHandler,
   pinListHandler,
+  pinStatusHandler,
   pinRemoveHandler,
+  pinExportHandler,
+  pinImportHandler,
 };
@@ -0,0 +1,168 @@
+// Content scanning - every staged upload is checked before it is added to IPFS and becomes a permanent CID
+// Two scanners: a ClamAV daemon spoken to over its INSTREAM protocol, or any command that takes a file path
+const fs = require("fs");
+const net = require("net");
+const { spawn } = require("child_process");
+const { SCANNER, SCAN_CLAMD_SOCKET, SCAN_COMMAND, SCAN_TIMEOUT_MS, SCAN_FAIL_OPEN } = require("./config");
+
+const CLAMD_CHUNK = 64 * 1024;
+const OUTPUT_MAX = 64 * 1024;
+
+// "tcp://host:port" or a unix socket path
+const clamdAddress = () => {
+  const match = SCAN_CLAMD_SOCKET.match(/^tcp:\/\/(.+):(\d+)$/);
+  return match ? { host: match[1], port: Number(match[2]) } : { path: SCAN_CLAMD_SOCKET };
+};
+
+const writeChunk = (socket, chunk) => new Promise((resolve, reject) => {
+  socket.write(chunk, (err) => (err ? reject(err) : resolve()));
+});
+
+/**
+ * Scan a file with clamd (INSTREAM: length-prefixed chunks, then a zero length)
+ * clamd answers "stream: OK", "stream: <signature> FOUND" or "<reason> ERROR"
+ * @param {string} filePath - Staged file
+ * @param {AbortSignal} signal - Aborted when the scan times out
+ * @returns {Promise<{threat: string|null}>}
+ */
+const scanWithClamd = (filePath, signal) => new Promise((resolve, reject) => {
+  const socket = net.connect(clamdAddress());
+  let reply = "";
+
+  const onAbort = () => socket.destroy(signal.reason);
+  signal.addEventListener("abort", onAbort, { once: true });
+
+  socket.setEncoding("utf8");
+  // The reply ends with a NUL; clamd may hang up right after it or keep the connection open
+  socket.on("data", (data) => {
+    reply += data;
+    if (reply.includes("\0")) socket.end();
+  });
+  socket.on("error", (err) => {
+    // clamd hangs up mid-stream once a file passes its StreamMaxLength, the reply says why
+    if (!reply) reject(err);
+  });
+  socket.on("close", () => {
+    signal.removeEventListener("abort", onAbort);
+    if (signal.aborted) return reject(signal.reason);
+
+    const answer = reply.replace(/\0/g, "").trim();
+    const found = answer.match(/^stream: (.+) FOUND$/);
+    if (found) return resolve({ threat: found[1] });
+    if (/^stream: OK$/.test(answer)) return resolve({ threat: null });
+    reject(new Error(`clamd: ${answer || "no answer"}`));
+  });
+
+  socket.once("connect", async () => {
+    try {
+      await writeChunk(socket, "zINSTREAM\0");
+      for await (const chunk of fs.createReadStream(filePath, { highWaterMark: CLAMD_CHUNK })) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        await writeChunk(socket, Buffer.concat([length, chunk]));
+      }
+      await writeChunk(socket, Buffer.alloc(4));
+    } catch (err) {
+      socket.destroy(reply ? undefined : err);
+    }
+  });
+});
+
+/**
+ * Scan a file with SCAN_COMMAND, the path is appended as the last argument
+ * Exit code 0 is clean and 1 is infected (clamscan's convention); the last output line names the threat
+ * @param {string} filePath - Staged file
+ * @param {AbortSignal} signal - Aborted when the scan times out, which kills the command
+ * @returns {Promise<{threat: string|null}>}
+ */
+const scanWithCommand = (filePath, signal) => new Promise((resolve, reject) => {
+  const [command, ...args] = SCAN_COMMAND.split(/\s+/);
+  const child = spawn(command, [...args, filePath], { signal, stdio: ["ignore", "pipe", "pipe"] });
+  let output = "";
+
+  const collect = (data) => {
+    if (output.length < OUTPUT_MAX) output += data;
+  };
+  child.stdout.on("data", collect);
+  child.stderr.on("data", collect);
+
+  child.on("error", (err) => reject(signal.aborted ? signal.reason : err));
+  child.on("close", (code) => {
+    if (signal.aborted) return;
+
+    const lastLine = output.split(/\r?\n/).map((line) => line.trim()).filter(Boolean).pop() || "";
+    if (code === 0) return resolve({ threat: null });
+    if (code === 1) {
+      const threat = lastLine.split(`${filePath}: `).join("").replace(/ FOUND$/, "");
+      return resolve({ threat: threat || "Flagged by the scan command" });
+    }
+    reject(new Error(`scan command exited with code ${code}${lastLine ? `: ${lastLine}` : ""}`));
+  });
+});
+
+const scanError = (code, status, message, { name, threat }) => {
+  const error = new Error(name ? `${name}: ${message}` : message);
+  error.code = code;
+  error.status = status;
+  if (threat) error.threat = threat;
+  if (name) error.path = name;
+  return error;
+};
+
+/**
+ * Scan a staged upload before it is added to IPFS
+ * @param {string} filePath - File on disk
+ * @param {{name?: string, entryPath?: string}} [options] - name is logged, entryPath names an archive or folder entry in logs and errors
+ * @returns {Promise<{scanner: string, status: "clean"|"unscanned"}|null>} - null when scanning is off
+ * @throws {Error} 422 (code SCAN_REJECTED) for a detected threat, 503 (code SCAN_UNAVAILABLE) when the scan fails closed
+ */
+const scanFile = async (filePath, { name, entryPath } = {}) => {
+  if (!SCANNER) return null;
+
+  const label = entryPath || name || filePath;
+
+  const started = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`scan timed out after ${SCAN_TIMEOUT_MS}ms`)), SCAN_TIMEOUT_MS);
+
+  let verdict;
+  try {
+    verdict = await (SCANNER === "clamd" ? scanWithClamd : scanWithCommand)(filePath, controller.signal);
+  } catch (err) {
+    console.warn(`[SCAN] SCAN_FAILED scanner=${SCANNER} file=${label} reason=${err.message} action=${SCAN_FAIL_OPEN ? "fail_open" : "fail_closed"}`);
+    if (!SCAN_FAIL_OPEN) {
+      throw scanError("SCAN_UNAVAILABLE", 503, "The file could not be scanned, try again later", { name: entryPath });
+    }
+    return { scanner: SCANNER, status: "unscanned" };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const duration = Date.now() - started;
+  if (verdict.threat) {
+    console.warn(`[SCAN] THREAT_FOUND scanner=${SCANNER} file=${label} threat=${verdict.threat} ms=${duration}`);
+    throw scanError("SCAN_REJECTED", 422, `The file was flagged by the scanner (${verdict.threat})`, { name: entryPath, threat: verdict.threat });
+  }
+
+  console.log(`[SCAN] CLEAN scanner=${SCANNER} file=${label} ms=${duration}`);
+  return { scanner: SCANNER, status: "clean" };
+};
+
+/**
+ * Combine the verdicts of a directory upload's files into one
+ * @param {Array<object|null>} verdicts - scanFile results
+ * @returns {{scanner: string, status: "clean"|"unscanned", files: number, unscanned: number}|null}
+ */
+const summarizeScans = (verdicts) => {
+  if (!SCANNER) return null;
+  const unscanned = verdicts.filter((verdict) => verdict && verdict.status === "unscanned").length;
+  return { scanner: SCANNER, status: unscanned ? "unscanned" : "clean", files: verdicts.length, unscanned };
+};
+
+const isScanning = () => Boolean(SCANNER);
+
+module.exports = {
+  isScanning,
+  scanFile,
+  summarizeScans,
+};
@@ -0,0 +1,410 @@
+// Metadata scrubbing for images before they are added to IPFS
+// Only container-level metadata is dropped (segments/chunks are copied byte for byte), pixels are never re-encoded:
+//   JPEG: EXIF, XMP, IPTC (Photoshop APP13), comments, other APPn blocks and data after the end-of-image marker
+//   PNG:  tEXt/zTXt/iTXt, eXIf and tIME chunks and data after IEND
+//   WebP: EXIF and XMP chunks (VP8X flags are updated to match)
+// ICC colour profiles and the EXIF orientation are kept so images still render the same way
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+const { SCRUB_METADATA } = require("./config");
+
+const SCAN_CHUNK = 1024 * 1024;
+
+// EXIF tags worth naming in the response, by IFD
+const EXIF_TAG_NAMES = {
+  0x010e: "ImageDescription",
+  0x010f: "Make",
+  0x0110: "Model",
+  0x0131: "Software",
+  0x0132: "DateTime",
+  0x013b: "Artist",
+  0x8298: "Copyright",
+  0x8825: "GPS",
+  0x9003: "DateTimeOriginal",
+  0x9004: "DateTimeDigitized",
+  0x927c: "MakerNote",
+  0x9286: "UserComment",
+  0xa420: "ImageUniqueID",
+  0xa430: "CameraOwnerName",
+  0xa431: "BodySerialNumber",
+  0xa433: "LensMake",
+  0xa434: "LensModel",
+  0xa435: "LensSerialNumber",
+};
+const EXIF_IFD_POINTER = 0x8769;
+const ORIENTATION_TAG = 0x0112;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_TEXT_CHUNKS = ["tEXt", "zTXt", "iTXt"];
+
+const WEBP_FLAG_EXIF = 0x08;
+const WEBP_FLAG_XMP = 0x04;
+
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+const detectImageFormat = (head) => {
+  if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return "jpeg";
+  if (head.length >= 8 && head.subarray(0, 8).equals(PNG_SIGNATURE)) return "png";
+  if (head.length >= 12 && head.toString("latin1", 0, 4) === "RIFF" && head.toString("latin1", 8, 12) === "WEBP") return "webp";
+  return null;
+};
+
+/**
+ * Name the identifying tags of a TIFF/EXIF block and pick out its orientation
+ * Malformed blocks yield whatever could be read before the damage
+ * @param {Buffer} tiff - TIFF header and IFDs (the EXIF payload after "Exif\0\0")
+ * @returns {{tags: string[], orientation: number|null}}
+ */
+const readExifTags = (tiff) => {
+  const tags = [];
+  let orientation = null;
+
+  const order = tiff.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") return { tags, orientation };
+  const little = order === "II";
+  const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const walk = (ifdOffset, depth) => {
+    if (depth > 1 || ifdOffset + 2 > tiff.length) return;
+    const count = u16(ifdOffset);
+
+    for (let i = 0; i < count; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      if (entry + 12 > tiff.length) return;
+      const tag = u16(entry);
+
+      if (tag === ORIENTATION_TAG && depth === 0) {
+        orientation = u16(entry + 8);
+      } else if (tag === EXIF_IFD_POINTER && depth === 0) {
+        walk(u32(entry + 8), depth + 1);
+      } else if (EXIF_TAG_NAMES[tag] && !tags.includes(EXIF_TAG_NAMES[tag])) {
+        tags.push(EXIF_TAG_NAMES[tag]);
+      }
+    }
+
+    // IFD1 holds the embedded thumbnail
+    if (depth === 0) {
+      const next = ifdOffset + 2 + count * 12;
+      if (next + 4 <= tiff.length && u32(next) !== 0) tags.push("Thumbnail");
+    }
+  };
+
+  try {
+    walk(u32(4), 0);
+  } catch {
+    // Truncated IFD, keep what was read
+  }
+
+  return { tags, orientation };
+};
+
+const exifRemoved = (tiff) => ["EXIF", ...readExifTags(tiff).tags.map((tag) => `EXIF:${tag}`)];
+
+// Minimal APP1 segment carrying only the orientation, so rotated photos still display upright
+const buildOrientationSegment = (orientation) => {
+  const payload = Buffer.alloc(32);
+  payload.write("Exif\0\0MM\0\x2a", 0, "latin1");
+  payload.writeUInt32BE(8, 10); // IFD0 offset
+  payload.writeUInt16BE(1, 14); // one entry
+  payload.writeUInt16BE(ORIENTATION_TAG, 16);
+  payload.writeUInt16BE(3, 18); // SHORT
+  payload.writeUInt32BE(1, 20);
+  payload.writeUInt16BE(orientation, 24);
+  // bytes 26-27 pad the value, 28-31 are the (zero) next IFD offset
+
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
+// An APP1 we wrote ourselves on an earlier pass, kept so scrubbing twice changes nothing
+const isOrientationOnly = (payload) => {
+  if (payload.length !== 32 || payload.toString("latin1", 0, 6) !== "Exif\0\0") return false;
+  const { orientation } = readExifTags(payload.subarray(6));
+  return payload.equals(buildOrientationSegment(orientation).subarray(4));
+};
+
+// Position of the end-of-image marker at or after `start`, scanning entropy-coded data
+// (0xFF inside scan data is always stuffed as FF00, so the first FFD9 is the real one)
+const findJpegEnd = async (handle, start, size) => {
+  let position = start;
+  let previous = 0;
+
+  while (position < size) {
+    const chunk = await readAt(handle, position, Math.min(SCAN_CHUNK, size - position));
+    if (!chunk.length) break;
+
+    for (let i = 0; i < chunk.length; i++) {
+      if (previous === 0xff && chunk[i] === 0xd9) return position + i - 1;
+      previous = chunk[i];
+    }
+    position += chunk.length;
+  }
+
+  return null;
+};
+
+const APP_SIGNATURES = [
+  { marker: 0xe1, prefix: "Exif\0", name: "EXIF" },
+  { marker: 0xe1, prefix: "http://ns.adobe.com/xap/1.0/\0", name: "XMP" },
+  { marker: 0xe1, prefix: "http://ns.adobe.com/xmp/extension/\0", name: "XMP" },
+  { marker: 0xed, prefix: "Photoshop 3.0\0", name: "IPTC" },
+];
+
+// JFIF, ICC profiles and the Adobe colour transform affect rendering and are kept
+const isKeptJpegSegment = (marker, payload) => (marker === 0xe0)
+  || (marker === 0xe2 && payload.toString("latin1", 0, 12) === "ICC_PROFILE\0")
+  || (marker === 0xee && payload.toString("latin1", 0, 5) === "Adobe");
+
+const planJpeg = async (handle, size) => {
+  const pieces = [{ start: 0, end: 2 }];
+  const removed = [];
+  let position = 2;
+  let ended = false;
+
+  while (position < size) {
+    const head = await readAt(handle, position, 4);
+    if (head.length < 2 || head[0] !== 0xff) break;
+    const marker = head[1];
+
+    // Fill bytes and standalone markers (TEM, RSTn)
+    if (marker === 0xff) {
+      pieces.push({ start: position, end: position + 1 });
+      position += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      pieces.push({ start: position, end: position + 2 });
+      position += 2;
+      continue;
+    }
+    if (marker === 0xd9) {
+      pieces.push({ start: position, end: position + 2 });
+      position += 2;
+      ended = true;
+      break;
+    }
+
+    if (head.length < 4) break;
+    const end = position + 2 + head.readUInt16BE(2);
+    if (end > size) break;
+
+    // Start of scan: copy image data up to the end-of-image marker
+    if (marker === 0xda) {
+      const eoi = await findJpegEnd(handle, end, size);
+      if (eoi === null) break;
+      pieces.push({ start: position, end: eoi + 2 });
+      position = eoi + 2;
+      ended = true;
+      break;
+    }
+
+    const isMetadata = (marker >= 0xe0 && marker <= 0xef) || marker === 0xfe;
+    if (!isMetadata) {
+      pieces.push({ start: position, end });
+      position = end;
+      continue;
+    }
+
+    const payload = await readAt(handle, position + 4, end - position - 4);
+    if (isKeptJpegSegment(marker, payload) || isOrientationOnly(payload)) {
+      pieces.push({ start: position, end });
+      position = end;
+      continue;
+    }
+
+    const signature = APP_SIGNATURES.find((sig) => sig.marker === marker && payload.toString("latin1", 0, sig.prefix.length) === sig.prefix);
+    if (marker === 0xfe) {
+      removed.push("Comment");
+    } else if (signature && signature.name === "EXIF") {
+      const tiff = payload.subarray(6);
+      removed.push(...exifRemoved(tiff));
+      const { orientation } = readExifTags(tiff);
+      if (orientation >= 2 && orientation <= 8) {
+        pieces.push({ buffer: buildOrientationSegment(orientation) });
+      }
+    } else {
+      removed.push(signature ? signature.name : `APP${marker - 0xe0}`);
+    }
+    position = end;
+  }
+
+  if (position < size) {
+    // Past the end-of-image marker this is appended data (thumbnails, motion photo videos, vendor trailers),
+    // before it the file is malformed and the rest is kept as-is
+    if (ended) {
+      removed.push("Trailing data");
+    } else {
+      pieces.push({ start: position, end: size });
+    }
+  }
+
+  return { pieces, removed };
+};
+
+const planPng = async (handle, size) => {
+  const pieces = [{ start: 0, end: 8 }];
+  const removed = [];
+  let position = 8;
+  let ended = false;
+
+  while (position < size) {
+    const head = await readAt(handle, position, 8);
+    if (head.length < 8) break;
+    const end = position + 12 + head.readUInt32BE(0);
+    if (end > size) break;
+    const type = head.toString("latin1", 4, 8);
+
+    if (PNG_TEXT_CHUNKS.includes(type)) {
+      const keyword = (await readAt(handle, position + 8, Math.min(80, end - position - 12))).toString("latin1").split("\0")[0];
+      removed.push(keyword ? `${type}:${keyword}` : type);
+    } else if (type === "eXIf") {
+      removed.push(...exifRemoved(await readAt(handle, position + 8, end - position - 12)));
+    } else if (type === "tIME") {
+      removed.push("tIME");
+    } else {
+      pieces.push({ start: position, end });
+    }
+
+    position = end;
+    if (type === "IEND") {
+      ended = true;
+      break;
+    }
+  }
+
+  if (position < size) {
+    if (ended) {
+      removed.push("Trailing data");
+    } else {
+      pieces.push({ start: position, end: size });
+    }
+  }
+
+  return { pieces, removed };
+};
+
+const planWebp = async (handle, size) => {
+  const header = await readAt(handle, 0, 12);
+  const riffEnd = Math.min(size, 8 + header.readUInt32LE(4));
+  const chunks = [];
+  const removed = [];
+  let position = 12;
+
+  while (position < riffEnd) {
+    const head = await readAt(handle, position, 8);
+    if (head.length < 8) break;
+    const length = head.readUInt32LE(4);
+    const end = Math.min(riffEnd, position + 8 + length + (length & 1));
+    const fourcc = head.toString("latin1", 0, 4);
+
+    if (fourcc === "EXIF") {
+      const payload = await readAt(handle, position + 8, end - position - 8);
+      // Some writers keep the JPEG-style "Exif\0\0" prefix
+      removed.push(...exifRemoved(payload.toString("latin1", 0, 6) === "Exif\0\0" ? payload.subarray(6) : payload));
+    } else if (fourcc === "XMP ") {
+      removed.push("XMP");
+    } else if (fourcc === "VP8X") {
+      const chunk = await readAt(handle, position, end - position);
+      chunk[8] &= ~(WEBP_FLAG_EXIF | WEBP_FLAG_XMP);
+      chunks.push({ buffer: chunk });
+    } else {
+      chunks.push({ start: position, end });
+    }
+
+    position = end;
+  }
+
+  if (position < riffEnd) {
+    chunks.push({ start: position, end: riffEnd });
+  }
+  if (riffEnd < size) {
+    removed.push("Trailing data");
+  }
+
+  const body = chunks.reduce((sum, piece) => sum + (piece.buffer ? piece.buffer.length : piece.end - piece.start), 0);
+  const riff = Buffer.from("RIFF\0\0\0\0WEBP", "latin1");
+  riff.writeUInt32LE(body + 4, 4);
+
+  return { pieces: [{ buffer: riff }, ...chunks], removed };
+};
+
+const PLANNERS = { jpeg: planJpeg, png: planPng, webp: planWebp };
+
+// Kept byte ranges are streamed from the original file, rewritten headers come from memory
+const writePieces = (sourcePath, targetPath, pieces) => pipeline(
+  async function* readPieces() {
+    for (const piece of pieces) {
+      if (piece.buffer) {
+        yield piece.buffer;
+      } else if (piece.end > piece.start) {
+        yield* fs.createReadStream(sourcePath, { start: piece.start, end: piece.end - 1 });
+      }
+    }
+  },
+  fs.createWriteStream(targetPath)
+);
+
+/**
+ * Decide whether a request wants its images scrubbed
+ * Scrubbing is on unless the operator disabled it (SCRUB_METADATA=false) or the client sent scrub=false
+ * @param {*} value - The request's "scrub" query/form value
+ * @returns {boolean}
+ */
+const wantsScrub = (value) => {
+  if (value === false || value === "false" || value === "0") return false;
+  return SCRUB_METADATA;
+};
+
+/**
+ * Remove identifying metadata from a JPEG, PNG or WebP file in place
+ * Other files are left untouched
+ * @param {string} filePath - File to scrub
+ * @returns {Promise<{format: string|null, removed: string[], size: number}>} - Removed fields and the new size
+ */
+const scrubFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  let plan;
+  let format;
+  let size;
+
+  try {
+    size = (await handle.stat()).size;
+    format = detectImageFormat(await readAt(handle, 0, 12));
+    if (!format) return { format: null, removed: [], size };
+    plan = await PLANNERS[format](handle, size);
+  } finally {
+    await handle.close();
+  }
+
+  if (!plan.removed.length) {
+    return { format, removed: [], size };
+  }
+
+  const scrubbedPath = `${filePath}.scrub`;
+  try {
+    await writePieces(filePath, scrubbedPath, plan.pieces);
+    await fs.promises.rename(scrubbedPath, filePath);
+  } catch (err) {
+    await fs.promises.rm(scrubbedPath, { force: true });
+    throw err;
+  }
+
+  const scrubbedSize = (await fs.promises.stat(filePath)).size;
+  console.log(`[SCRUB] METADATA_REMOVED format=${format} fields=${plan.removed.join(",")} bytes_removed=${size - scrubbedSize}`);
+  return { format, removed: plan.removed, size: scrubbedSize };
+};
+
+// Whether the first bytes of a file belong to a format scrubFile rewrites
+const isScrubbable = (head) => detectImageFormat(head) !== null;
+
+module.exports = {
+  wantsScrub,
+  isScrubbable,
+  scrubFile,
+};
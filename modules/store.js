@@ -0,0 +1,129 @@
+// Append-only JSON journal used to persist in-memory maps across restarts
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR } = require("./config");
+
+const COMPACT_MIN_OPS = 1000;
+
+/**
+ * Open (or create) a journal file under DATA_DIR
+ * Each line is either {op:"put", key, value} or {op:"del", key}
+ * @param {string} name - Journal name (file is <name>.jsonl)
+ * @returns {{map: Map, put: Function, del: Function, compact: Function, path: string, persistent: boolean}}
+ */
+const openJournal = (name) => {
+  const filePath = path.join(DATA_DIR, `${name}.jsonl`);
+  const map = new Map();
+  let ops = 0;
+  let persistent = true;
+
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+      const content = fs.readFileSync(filePath, "utf8");
+      const lines = content.split("\n");
+      let skipped = 0;
+
+      // A crash mid-append leaves a final line without its newline, and the next append would be glued onto it.
+      // A complete record only lacks the newline, anything else is cut off before appending again
+      const tail = lines.pop();
+      if (tail) {
+        let complete = true;
+        try {
+          JSON.parse(tail);
+        } catch {
+          complete = false;
+        }
+
+        if (complete) {
+          lines.push(tail);
+          fs.appendFileSync(filePath, "\n");
+        } else {
+          fs.truncateSync(filePath, Buffer.byteLength(content) - Buffer.byteLength(tail));
+          console.warn(`[STORE] TORN_LINE_TRUNCATED name=${name} bytes=${Buffer.byteLength(tail)}`);
+        }
+      }
+
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          skipped++;
+          console.warn(`[STORE] JOURNAL_LINE_SKIPPED name=${name} line=${index + 1}`);
+          return;
+        }
+
+        if (entry.op === "put") {
+          map.set(entry.key, entry.value);
+        } else if (entry.op === "del") {
+          map.delete(entry.key);
+        }
+        ops++;
+      });
+
+      console.log(`[STORE] JOURNAL_LOADED name=${name} records=${map.size} ops=${ops} skipped=${skipped}`);
+    }
+  } catch (err) {
+    persistent = false;
+    console.error(`[STORE] JOURNAL_UNAVAILABLE name=${name} path=${filePath} error="${err.message}" mode=memory_only`);
+  }
+
+  const append = (entry) => {
+    if (!persistent) return;
+
+    try {
+      fs.appendFileSync(filePath, JSON.stringify(entry) + "\n");
+      ops++;
+    } catch (err) {
+      console.error(`[STORE] JOURNAL_WRITE_ERROR name=${name} error="${err.message}"`);
+      return;
+    }
+
+    if (ops > COMPACT_MIN_OPS && ops > map.size * 2) {
+      compact();
+    }
+  };
+
+  // Rewrite the journal with one put per live record
+  const compact = () => {
+    if (!persistent) return;
+
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      const lines = [];
+      for (const [key, value] of map.entries()) {
+        lines.push(JSON.stringify({ op: "put", key, value }));
+      }
+      fs.writeFileSync(tmpPath, lines.length ? lines.join("\n") + "\n" : "");
+      fs.renameSync(tmpPath, filePath);
+      console.log(`[STORE] JOURNAL_COMPACTED name=${name} ops_before=${ops} records=${map.size}`);
+      ops = map.size;
+    } catch (err) {
+      console.error(`[STORE] JOURNAL_COMPACT_ERROR name=${name} error="${err.message}"`);
+    }
+  };
+
+  return {
+    map,
+    path: filePath,
+    persistent,
+    put: (key, value) => {
+      map.set(key, value);
+      append({ op: "put", key, value });
+    },
+    del: (key) => {
+      const existed = map.delete(key);
+      if (existed) append({ op: "del", key });
+      return existed;
+    },
+    compact,
+  };
+};
+
+module.exports = {
+  openJournal,
+};
@@ -0,0 +1,422 @@
+// Resumable uploads over the tus 1.0 protocol (https://tus.io/protocols/resumable-upload)
+// Chunks are appended to a staging file in UPLOAD_TEMP_DIR/tus, the finished file goes
+// through the same IPFS add path as /upload
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const mime = require("mime-types");
+const cors = require("cors");
+const { UPLOAD_TEMP_DIR, FILE_LIMIT, TUS_EXPIRY_MS, formatBytes } = require("./config");
+const { addUploadedFile } = require("./uploads");
+const { resolveAddOptions } = require("./addoptions");
+const { wantsScrub } = require("./scrub");
+const { checkFileTypeAt } = require("./filetype");
+const { isValidProgressId, startProgress, resumeProgress, reportReceived, addProgressReporter, finishProgress, failProgress } = require("./progress");
+
+const TUS_VERSION = "1.0.0";
+const TUS_EXTENSIONS = "creation,termination,expiration";
+const TUS_PATH = "/upload/tus";
+const TUS_DIR = path.join(UPLOAD_TEMP_DIR, "tus");
+
+// Response headers a browser tus client has to read cross-origin
+const TUS_EXPOSED_HEADERS = [
+  "Location",
+  "Upload-Offset",
+  "Upload-Length",
+  "Upload-Metadata",
+  "Upload-Expires",
+  "Tus-Resumable",
+  "Tus-Version",
+  "Tus-Extension",
+  "Tus-Max-Size",
+];
+
+const uploads = new Map(); // upload id -> upload info (mirrored to <id>.json next to the staging file)
+
+const dataPath = (id) => path.join(TUS_DIR, `${id}.bin`);
+const infoPath = (id) => path.join(TUS_DIR, `${id}.json`);
+
+const saveInfo = async (info) => {
+  const { busy, ...persisted } = info;
+  await fs.promises.writeFile(infoPath(info.id), JSON.stringify(persisted));
+};
+
+const removeUpload = async (id) => {
+  uploads.delete(id);
+  await fs.promises.rm(dataPath(id), { force: true });
+  await fs.promises.rm(infoPath(id), { force: true });
+};
+
+// Pick up partial uploads staged before a restart so clients can resume them
+const loadUploads = () => {
+  fs.mkdirSync(TUS_DIR, { recursive: true });
+
+  for (const name of fs.readdirSync(TUS_DIR)) {
+    if (!name.endsWith(".json")) continue;
+
+    try {
+      const info = JSON.parse(fs.readFileSync(path.join(TUS_DIR, name), "utf8"));
+      if (!info.result) {
+        info.offset = fs.statSync(dataPath(info.id)).size;
+      }
+      uploads.set(info.id, info);
+    } catch (err) {
+      console.warn(`[TUS] Skipping unreadable upload ${name}: ${err.message}`);
+    }
+  }
+
+  if (uploads.size > 0) {
+    console.log(`[TUS] UPLOADS_LOADED count=${uploads.size}`);
+  }
+};
+
+loadUploads();
+
+const sendError = (res, statusCode, message) => res.status(statusCode).json({
+  error: message,
+  status: "error",
+  message,
+  timestamp: new Date().toISOString(),
+});
+
+// Every request except OPTIONS must speak our protocol version
+const checkTusResumable = (req, res) => {
+  res.set("Tus-Resumable", TUS_VERSION);
+  if (req.get("Tus-Resumable") === TUS_VERSION) return true;
+
+  res.set("Tus-Version", TUS_VERSION);
+  sendError(res, 412, `Unsupported Tus-Resumable version, expected ${TUS_VERSION}`);
+  return false;
+};
+
+// Upload-Metadata: comma separated "key base64value" pairs (the value is optional)
+const parseMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(",")) {
+    const [key, value, extra] = pair.trim().split(" ");
+    if (!key || extra !== undefined || key in metadata) return null;
+    metadata[key] = value ? Buffer.from(value, "base64").toString("utf8") : "";
+  }
+
+  return metadata;
+};
+
+const parseOffsetHeader = (value) => (/^\d+$/.test(value || "") ? Number(value) : null);
+
+const touch = (info) => {
+  info.updated_at = Date.now();
+  info.expires_at = info.updated_at + TUS_EXPIRY_MS;
+};
+
+const setUploadHeaders = (res, info) => {
+  res.set({
+    "Upload-Offset": String(info.offset),
+    "Upload-Expires": new Date(info.expires_at).toUTCString(),
+    "Cache-Control": "no-store",
+  });
+};
+
+// Look up the upload addressed by :id, answering 404 when it is unknown or expired
+const findUpload = (req, res) => {
+  const info = uploads.get(req.params.id);
+  if (!info || info.expires_at <= Date.now()) {
+    sendError(res, 404, "Upload not found");
+    return null;
+  }
+  return info;
+};
+
+// Fails the stream once more bytes arrive than the upload declared; onBytes sees the running count
+const createLengthLimiter = (remaining, onBytes) => {
+  let received = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        const error = new Error("Request body exceeds Upload-Length");
+        error.code = "UPLOAD_TOO_LARGE";
+        callback(error);
+        return;
+      }
+      if (onBytes) onBytes(received);
+      callback(null, chunk);
+    },
+  });
+};
+
+// Hand a fully received upload to IPFS; the staging file is kept if the add fails so the
+// client can retry with an empty PATCH at the final offset
+const completeUpload = async (info) => {
+  const { type: mimeType, detectedType } = await checkFileTypeAt("upload", dataPath(info.id), mime.lookup(info.filename) || info.metadata.filetype);
+
+  const result = await addUploadedFile({
+    filePath: dataPath(info.id),
+    filename: info.filename,
+    size: info.length,
+    mimeType,
+    detectedType,
+    addOptions: resolveAddOptions(info.metadata),
+    scrub: wantsScrub(info.metadata.scrub),
+    onProgress: addProgressReporter(info.metadata.progress),
+  });
+
+  await fs.promises.rm(dataPath(info.id), { force: true });
+  // The deletion token is only ever handed out once, the saved copy answers retried PATCHes without it
+  const { deleteToken, ...saved } = result;
+  info.result = saved;
+  touch(info);
+  await saveInfo(info);
+
+  console.log(`[TUS] UPLOAD_COMPLETE id=${info.id} cid=${result.cid} size_mb=${(info.length / 1024 / 1024).toFixed(2)}`);
+  if (info.metadata.progress) finishProgress(info.metadata.progress, result);
+  return result;
+};
+
+// OPTIONS /upload/tus - protocol discovery
+// Registered ahead of the global CORS middleware, which would otherwise end the request itself
+const tusOptionsHandler = [
+  cors({ exposedHeaders: TUS_EXPOSED_HEADERS, preflightContinue: true }),
+  (req, res) => {
+    res.set({
+      "Tus-Resumable": TUS_VERSION,
+      "Tus-Version": TUS_VERSION,
+      "Tus-Extension": TUS_EXTENSIONS,
+      "Tus-Max-Size": String(FILE_LIMIT),
+    });
+    res.status(204).end();
+  },
+];
+
+// POST /upload/tus - create an upload
+const tusCreateHandler = async (req, res) => {
+  if (!checkTusResumable(req, res)) return;
+
+  try {
+    if (req.get("Upload-Defer-Length") !== undefined) {
+      return sendError(res, 400, "Upload-Defer-Length is not supported");
+    }
+
+    const length = parseOffsetHeader(req.get("Upload-Length"));
+    if (length === null) {
+      return sendError(res, 400, "Upload-Length header is required");
+    }
+    if (length > FILE_LIMIT) {
+      return sendError(res, 413, `File exceeds the maximum allowed size of ${formatBytes(FILE_LIMIT)}`);
+    }
+
+    const metadata = parseMetadata(req.get("Upload-Metadata"));
+    if (!metadata) {
+      return sendError(res, 400, "Invalid Upload-Metadata header");
+    }
+
+    // Add options ride along in the metadata, checked now rather than after the whole file arrived
+    try {
+      resolveAddOptions(metadata);
+    } catch (err) {
+      return sendError(res, 400, err.message);
+    }
+    if (metadata.progress !== undefined && !isValidProgressId(metadata.progress)) {
+      return sendError(res, 400, "progress must be 8-64 letters, digits, '-' or '_'");
+    }
+
+    const id = crypto.randomBytes(16).toString("hex");
+    const info = {
+      id,
+      length,
+      offset: 0,
+      metadata,
+      rawMetadata: req.get("Upload-Metadata") || "",
+      filename: path.basename(metadata.filename || metadata.name || `upload-${id}`),
+      created_at: Date.now(),
+    };
+    touch(info);
+
+    await fs.promises.writeFile(dataPath(id), "");
+    await saveInfo(info);
+    uploads.set(id, info);
+
+    console.log(`[TUS] UPLOAD_CREATED id=${id} length=${length} filename=${info.filename}`);
+    if (metadata.progress) startProgress(metadata.progress, length);
+
+    res.set({
+      Location: `${TUS_PATH}/${id}`,
+      "Upload-Expires": new Date(info.expires_at).toUTCString(),
+    });
+    res.status(201).end();
+  } catch (err) {
+    console.error(`[TUS] Create failed: ${err.message}`);
+    sendError(res, 500, "Failed to create upload");
+  }
+};
+
+// HEAD /upload/tus/:id - current offset, used by clients to resume
+const tusHeadHandler = (req, res) => {
+  if (!checkTusResumable(req, res)) return;
+
+  const info = findUpload(req, res);
+  if (!info) return;
+
+  setUploadHeaders(res, info);
+  res.set("Upload-Length", String(info.length));
+  if (info.rawMetadata) {
+    res.set("Upload-Metadata", info.rawMetadata);
+  }
+  res.status(200).end();
+};
+
+// PATCH /upload/tus/:id - append bytes at Upload-Offset
+// The PATCH that completes the upload answers 200 with the usual upload response
+const tusPatchHandler = async (req, res) => {
+  if (!checkTusResumable(req, res)) return;
+
+  const info = findUpload(req, res);
+  if (!info) return;
+
+  if (req.get("Content-Type") !== "application/offset+octet-stream") {
+    return sendError(res, 415, "Content-Type must be application/offset+octet-stream");
+  }
+  if (info.busy) {
+    return sendError(res, 423, "Upload is already being written to");
+  }
+
+  const offset = parseOffsetHeader(req.get("Upload-Offset"));
+  if (offset === null || offset !== info.offset) {
+    setUploadHeaders(res, info);
+    return sendError(res, 409, `Upload-Offset does not match the current offset ${info.offset}`);
+  }
+
+  if (info.result) {
+    setUploadHeaders(res, info);
+    return res.status(200).json(info.result);
+  }
+
+  // Trackers are lost with a restart, a resumed upload starts a new one from its offset
+  if (info.metadata.progress) resumeProgress(info.metadata.progress, offset, info.length);
+
+  info.busy = true;
+  try {
+    let writeError = null;
+    try {
+      await pipeline(
+        req,
+        createLengthLimiter(info.length - info.offset, (received) => {
+          if (info.metadata.progress) reportReceived(info.metadata.progress, offset + received, info.length);
+        }),
+        fs.createWriteStream(dataPath(info.id), { flags: "a" })
+      );
+    } catch (err) {
+      writeError = err;
+    }
+
+    // Whatever reached the disk counts, so an interrupted PATCH can be resumed
+    info.offset = (await fs.promises.stat(dataPath(info.id))).size;
+    touch(info);
+    await saveInfo(info);
+
+    if (writeError) {
+      if (writeError.code === "UPLOAD_TOO_LARGE") {
+        setUploadHeaders(res, info);
+        return sendError(res, 413, writeError.message);
+      }
+      console.warn(`[TUS] PATCH_INTERRUPTED id=${info.id} offset=${info.offset} reason=${writeError.message}`);
+      if (!req.destroyed) {
+        sendError(res, 500, "Failed to store upload chunk");
+      }
+      return;
+    }
+
+    if (info.offset < info.length) {
+      setUploadHeaders(res, info);
+      return res.status(204).end();
+    }
+
+    const result = await completeUpload(info);
+    setUploadHeaders(res, info);
+    res.status(200).json(result);
+  } catch (err) {
+    // Refused content is dropped, retrying the upload would only be refused again
+    if (["CONTENT_DELETED", "UNSUPPORTED_TYPE", "SCAN_REJECTED"].includes(err.code)) {
+      await removeUpload(info.id);
+      if (info.metadata.progress) failProgress(info.metadata.progress, err.message);
+      return sendError(res, err.status, err.message);
+    }
+    // The staged file is kept, an empty PATCH retries the scan
+    if (err.code === "SCAN_UNAVAILABLE") {
+      if (info.metadata.progress) failProgress(info.metadata.progress, err.message);
+      return sendError(res, err.status, err.message);
+    }
+
+    console.error("IPFS upload error:", {
+      message: err.message,
+      stack: err.stack,
+      timestamp: new Date().toISOString(),
+    });
+    if (info.metadata.progress) failProgress(info.metadata.progress, "Failed to upload to IPFS");
+
+    res.status(500).json({
+      error: "Failed to upload to IPFS",
+      details: err.message,
+      status: "error",
+      message: "Failed to upload to IPFS",
+      timestamp: new Date().toISOString(),
+    });
+  } finally {
+    info.busy = false;
+  }
+};
+
+// DELETE /upload/tus/:id - abandon an upload (termination extension)
+const tusDeleteHandler = async (req, res) => {
+  if (!checkTusResumable(req, res)) return;
+
+  const info = findUpload(req, res);
+  if (!info) return;
+
+  if (info.busy) {
+    return sendError(res, 423, "Upload is already being written to");
+  }
+
+  try {
+    await removeUpload(info.id);
+    console.log(`[TUS] UPLOAD_TERMINATED id=${info.id}`);
+    res.status(204).end();
+  } catch (err) {
+    console.error(`[TUS] Terminate failed: ${err.message}`);
+    sendError(res, 500, "Failed to delete upload");
+  }
+};
+
+/**
+ * Delete staged uploads that have not been touched within TUS_EXPIRY
+ * @returns {Promise<number>} - Number of expired uploads
+ */
+const sweepExpiredTusUploads = async () => {
+  const now = Date.now();
+  let expired = 0;
+
+  for (const info of Array.from(uploads.values())) {
+    if (info.busy || info.expires_at > now) continue;
+
+    await removeUpload(info.id);
+    console.log(`[TUS] UPLOAD_EXPIRED id=${info.id} offset=${info.offset} length=${info.length}`);
+    expired++;
+  }
+
+  return expired;
+};
+
+module.exports = {
+  TUS_PATH,
+  TUS_EXPOSED_HEADERS,
+  tusOptionsHandler,
+  tusCreateHandler,
+  tusHeadHandler,
+  tusPatchHandler,
+  tusDeleteHandler,
+  sweepExpiredTusUploads,
+};
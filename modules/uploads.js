@@ -0,0 +1,235 @@
+// Shared IPFS add path for uploads
+// Anonymous uploads follow the retention policy, authenticated ones are pinned for the uploader
+const fs = require("fs");
+const { Transform } = require("stream");
+const { addFile, getCidSize } = require("./ipfs");
+const { shouldRetain, retainUpload } = require("./retention");
+const { getGatewayUrl } = require("./gateways");
+const { recordPin, getPinByCid } = require("./database");
+const { checkQuota, getQuotaSummary, formatQuotaSummary } = require("./quota");
+const { resolveAddOptions } = require("./addoptions");
+const { cidForms } = require("./cid");
+const { wantsScrub, scrubFile } = require("./scrub");
+const { scanFile } = require("./scanner");
+const { generateKey, createEncryptStream, encryptedSize, buildShareUrl } = require("./encrypt");
+const { releaseIfUnreferenced } = require("./references");
+const { issueDeletionToken, isFirstUpload, isDenied, allowContent, deletedContentError, purgeContent } = require("./deletion");
+
+/**
+ * Decide whether an upload is added pinned
+ * @param {string|undefined} author - Uploader public key, undefined for anonymous uploads
+ * @param {number} size - Upload size in bytes
+ * @returns {boolean}
+ */
+const shouldPinUpload = (author, size) => Boolean(author) || shouldRetain(size);
+
+/**
+ * Check an authenticated upload against the uploader's quota before it is added
+ * @param {string|undefined} author - Uploader public key
+ * @param {number} size - Upload size in bytes
+ * @param {number} [pins] - Pins the upload adds, a CAR import adds one per root
+ * @returns {object|null} - 413 response body, or null when the upload may proceed
+ */
+const checkUploadQuota = (author, size, pins = 1) => {
+  if (!author) return null;
+
+  const check = checkQuota(author, { pins, bytes: size });
+  if (check.ok) return null;
+
+  return {
+    error: "Quota exceeded",
+    status: "error",
+    message: check.reason,
+    quota: formatQuotaSummary(getQuotaSummary(author)),
+    timestamp: new Date().toISOString(),
+  };
+};
+
+/**
+ * Record a freshly added upload
+ * Authenticated uploads become a pin of the uploader (keeping any name they already gave the CID),
+ * anonymous ones start (or extend) their retention window when pinned, and get a deletion token when they are the first
+ * to bring the content onto the node.
+ * An anonymous upload of content deleted with a token before is removed again and rejected (error code CONTENT_DELETED),
+ * an authenticated one lifts the denylist entry
+ * @param {{author?: string, cid: string, size: number, filename: string, mimeType: string, pinned: boolean}} upload
+ * @returns {Promise<{expiresAt: string|null, deleteToken: string|null}>} - ISO expiry of the retention window
+ *   (null when not retained) and the deletion token (null for authenticated uploads and re-uploads of stored content)
+ */
+const recordUpload = async ({ author, cid, size, filename, mimeType, pinned }) => {
+  if (!author) {
+    if (isDenied(cid)) {
+      await purgeContent(cid);
+      throw deletedContentError(cid);
+    }
+
+    const first = isFirstUpload(cid);
+    const expiresAt = pinned ? retainUpload({ cid, size, filename, type: mimeType }) : null;
+    if (!first) {
+      console.log(`[DELETE] TOKEN_WITHHELD cid=${cid} reason=already_stored`);
+      return { expiresAt, deleteToken: null };
+    }
+    return { expiresAt, deleteToken: issueDeletionToken(cid, expiresAt) };
+  }
+
+  allowContent(cid);
+  const existing = getPinByCid(cid, author);
+  recordPin({
+    cid,
+    author,
+    type: existing ? existing.type : "upload",
+    size: (await getCidSize(cid)) || size,
+    status: "pinned",
+    timestamp: Date.now(),
+    name: existing && existing.name ? undefined : filename,
+    mimeType,
+  });
+  console.log(`[UPLOAD] UPLOAD_PINNED cid=${cid} author=${author.slice(0, 8)}... size_mb=${(size / 1024 / 1024).toFixed(2)}`);
+  return { expiresAt: null, deleteToken: null };
+};
+
+// Encrypted uploads are stored, recorded and logged under this name so the original one stays private
+const ENCRYPTED_FILENAME = "encrypted.bin";
+const ENCRYPTED_MIME_TYPE = "application/octet-stream";
+
+// Name and type a file is added under, and the key when it is encrypted
+const prepareStorage = ({ filename, mimeType, viewerUrl }) => (viewerUrl
+  ? { name: ENCRYPTED_FILENAME, type: ENCRYPTED_MIME_TYPE, key: generateKey() }
+  : { name: filename, type: mimeType, key: null });
+
+const encryptSource = (source, key) => {
+  const encryptStream = createEncryptStream(key);
+  source.on("error", (err) => encryptStream.destroy(err));
+  return source.pipe(encryptStream);
+};
+
+// Record a finished add and build the response shared by the disk and streaming paths
+const finishUpload = async ({ added, size, filename, mimeType, detectedType, author, pinned, stored, viewerUrl, metadataRemoved, scan = null, uploadStart }) => {
+  const cid = added.Hash;
+  const { expiresAt, deleteToken } = await recordUpload({ author, cid, size, filename: stored.name, mimeType: stored.type, pinned });
+
+  // Detailed logging
+  console.log("File uploaded successfully:", {
+    name: stored.name,
+    size_bytes: size,
+    mime_type: stored.type,
+    cid,
+    encrypted: Boolean(stored.key),
+    upload_duration_ms: Date.now() - uploadStart,
+    timestamp: new Date().toISOString(),
+  });
+
+  const url = await getGatewayUrl(cid, stored.name);
+  const result = {
+    status: "success",
+    url,
+    cid,
+    ...cidForms(cid),
+    size,
+    type: mimeType,
+    detectedType,
+    filename,
+    pinned,
+    expiresAt,
+    deleteToken,
+    metadataRemoved,
+    scan,
+  };
+
+  if (stored.key) {
+    result.encrypted = true;
+    result.shareUrl = buildShareUrl(viewerUrl, { cid, key: stored.key, filename, mimeType, url });
+  }
+
+  return result;
+};
+
+/**
+ * Add an uploaded file to IPFS and build the upload response
+ * The caller owns the temp file and removes it afterwards; it is scanned, then images are scrubbed in place
+ * @param {{filePath: string, filename: string, size: number, mimeType: string, detectedType?: string, author?: string, addOptions?: object, scrub?: boolean, viewerUrl?: string, onProgress?: Function}} upload
+ *   detectedType is the sniffed type from checkFileType, addOptions defaults to the operator's ADD_* settings, scrub to SCRUB_METADATA
+ *   viewerUrl (absolute decrypt.html URL) encrypts the file and adds a shareUrl carrying the key in its fragment
+ *   onProgress(added, total) follows the Kubo add
+ * @returns {Promise<object>} - {status, url, cid, cidV0, cidV1, size, type, detectedType, filename, pinned, expiresAt, deleteToken, metadataRemoved, scan[, encrypted, shareUrl]}
+ */
+const addUploadedFile = async ({ filePath, filename, size, mimeType, detectedType, author, addOptions = resolveAddOptions({}), scrub = wantsScrub(), viewerUrl, onProgress }) => {
+  const uploadStart = Date.now();
+  const stored = prepareStorage({ filename, mimeType, viewerUrl });
+  console.log(`Starting IPFS upload for ${stored.name} ...`);
+
+  const scan = await scanFile(filePath, { name: filename });
+
+  let metadataRemoved = [];
+  if (scrub) {
+    const scrubbed = await scrubFile(filePath);
+    metadataRemoved = scrubbed.removed;
+    size = scrubbed.size;
+  }
+
+  // The ciphertext is streamed into the add, only the plaintext temp file ever touches the disk
+  let source = filePath;
+  if (stored.key) {
+    source = encryptSource(fs.createReadStream(filePath), stored.key);
+    size = encryptedSize(size);
+  }
+
+  const pinned = shouldPinUpload(author, size);
+  const added = await addFile(source, {
+    filename: stored.name,
+    contentType: stored.type,
+    pin: pinned,
+    addOptions,
+    onProgress: onProgress && ((bytes) => onProgress(bytes, size)),
+  });
+
+  return finishUpload({ added, size, filename, mimeType, detectedType, author, pinned, stored, viewerUrl, metadataRemoved, scan, uploadStart });
+};
+
+/**
+ * Add a file to IPFS straight from a stream, without a temp file
+ * The caller enforces the size limit on the stream and aborts `signal` when the request goes away
+ * Nothing can be scanned this way, so callers stage the file and use addUploadedFile while scanning is on
+ * The size is only known once the stream ends, so the add is pinned whenever the upload could be retained
+ * and released again when the file turns out larger than UPLOAD_RETENTION_MAX_SIZE
+ * @param {{stream: import("stream").Readable, filename: string, mimeType: string, detectedType?: string, author?: string, addOptions?: object, viewerUrl?: string, signal?: AbortSignal, onProgress?: Function}} upload
+ *   onProgress(added) follows the Kubo add
+ * @returns {Promise<object>} - Same response as addUploadedFile, metadataRemoved is always empty and scan null
+ */
+const addUploadStream = async ({ stream, filename, mimeType, detectedType, author, addOptions = resolveAddOptions({}), viewerUrl, signal, onProgress }) => {
+  const uploadStart = Date.now();
+  const stored = prepareStorage({ filename, mimeType, viewerUrl });
+  console.log(`Starting streamed IPFS upload for ${stored.name} ...`);
+
+  let plainSize = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      plainSize += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  stream.on("error", (err) => counter.destroy(err));
+  stream.pipe(counter);
+
+  const source = stored.key ? encryptSource(counter, stored.key) : counter;
+  const pinnedOnAdd = shouldPinUpload(author, 0);
+  const added = await addFile(source, { filename: stored.name, contentType: stored.type, pin: pinnedOnAdd, addOptions, signal, onProgress });
+  const size = stored.key ? encryptedSize(plainSize) : plainSize;
+
+  // Cancelled after Kubo had already finished the add: undo the pin instead of recording the upload
+  const pinned = !signal?.aborted && shouldPinUpload(author, plainSize);
+  if (pinnedOnAdd && !pinned) {
+    await releaseIfUnreferenced(added.Hash);
+  }
+  signal?.throwIfAborted();
+
+  return finishUpload({ added, size, filename, mimeType, detectedType, author, pinned, stored, viewerUrl, metadataRemoved: [], uploadStart });
+};
+
+module.exports = {
+  shouldPinUpload,
+  checkUploadQuota,
+  recordUpload,
+  addUploadedFile,
+  addUploadStream,
+};
@@ -0,0 +1,144 @@
+// Static website mode for /uploadzip and /uploadfolder (?website=true)
+// The site becomes the root of the added directory: a single top-level folder is unwrapped and index.html must exist.
+// _redirects is checked the way gateways will read it, and root-absolute links are reported because on a path
+// gateway (/ipfs/<cid>/) they resolve against the gateway instead of the site
+const fs = require("fs");
+const path = require("path");
+const { getGatewayUrl, getSubdomainUrl } = require("./gateways");
+
+const INDEX_FILE = "index.html";
+const REDIRECTS_FILE = "_redirects";
+const REDIRECTS_MAX = 64 * 1024; // Gateways refuse larger _redirects files
+const REDIRECT_STATUSES = [200, 301, 302, 303, 307, 308, 404, 410, 451];
+const LINK_SCAN_MAX = 2 * 1024 * 1024; // Larger pages and stylesheets are not checked for links
+const MAX_WARNINGS = 50;
+
+// Root-absolute references: "/x" but not protocol-relative "//host/x"
+const HTML_LINK_PATTERN = /\b(?:src|href|action|poster|data)\s*=\s*["']?(\/(?!\/)[^"'\s>]*)/gi;
+const CSS_LINK_PATTERN = /(?:url\(\s*["']?|@import\s+["'])(\/(?!\/)[^"')\s]*)/gi;
+
+const websiteError = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_WEBSITE";
+  error.status = 422;
+  return error;
+};
+
+// "site/" when every path sits inside the same top-level folder, otherwise ""
+const findSiteRoot = (paths) => {
+  const [first] = paths[0].split("/");
+  return paths.every((relativePath) => relativePath.startsWith(`${first}/`)) ? `${first}/` : "";
+};
+
+/**
+ * Parse a _redirects file ("from to [status]" per line, # comments)
+ * @param {string} text - File contents
+ * @returns {{rules: number, spaFallback: boolean}} - spaFallback is a 200 rewrite of "/*", the usual single-page app setup
+ * @throws {Error} 422 (code INVALID_WEBSITE) naming the first invalid line, gateways ignore the whole file otherwise
+ */
+const parseRedirects = (text) => {
+  let rules = 0;
+  let spaFallback = false;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) return;
+
+    const fail = (reason) => {
+      throw websiteError(`${REDIRECTS_FILE} line ${index + 1}: ${reason}`);
+    };
+
+    const fields = line.split(/\s+/);
+    if (fields.length < 2 || fields.length > 3) fail("expected \"from to [status]\"");
+
+    const [from, to, statusField = "301"] = fields;
+    if (!from.startsWith("/")) fail(`"${from}" must start with /`);
+    if (from.includes("*") && !from.endsWith("*")) fail("a splat (*) is only allowed at the end of the path");
+    if (!to.startsWith("/") && !/^https?:\/\//i.test(to)) fail(`"${to}" must be a path or an http(s) URL`);
+
+    const status = Number(statusField);
+    if (!/^\d{3}$/.test(statusField) || !REDIRECT_STATUSES.includes(status)) {
+      fail(`status ${statusField} is not one of ${REDIRECT_STATUSES.join(", ")}`);
+    }
+
+    rules++;
+    if (from === "/*" && status === 200) spaFallback = true;
+  });
+
+  return { rules, spaFallback };
+};
+
+// Root-absolute links of one page or stylesheet, with their line numbers
+const findAbsoluteLinks = (text, pattern) => {
+  const links = [];
+  for (const match of text.matchAll(pattern)) {
+    const line = text.slice(0, match.index).split("\n").length;
+    links.push({ line, link: match[1] });
+  }
+  return links;
+};
+
+/**
+ * Lay out a static site and check it before it is added
+ * @param {Array<{path: string, filePath: string}>} files - Relative path of each file and where it is on disk
+ * @returns {Promise<{root: string|null, paths: Map<string, string>, redirects: object|null, warnings: object[], absoluteLinks: number}>}
+ *   root is the unwrapped top-level folder, paths maps every relative path to its path inside the site
+ * @throws {Error} 422 (code INVALID_WEBSITE) without index.html or with an invalid _redirects file
+ */
+const prepareWebsite = async (files) => {
+  const prefix = findSiteRoot(files.map((file) => file.path));
+  const paths = new Map(files.map((file) => [file.path, file.path.slice(prefix.length)]));
+  const byPath = new Map(files.map((file) => [paths.get(file.path), file.filePath]));
+
+  if (!byPath.has(INDEX_FILE)) {
+    throw websiteError(`The site has no ${INDEX_FILE} at its root${prefix ? ` (looked inside ${prefix})` : ""}`);
+  }
+
+  let redirects = null;
+  if (byPath.has(REDIRECTS_FILE)) {
+    const { size } = await fs.promises.stat(byPath.get(REDIRECTS_FILE));
+    if (size > REDIRECTS_MAX) {
+      throw websiteError(`${REDIRECTS_FILE} is larger than ${REDIRECTS_MAX / 1024} KiB`);
+    }
+    redirects = parseRedirects(await fs.promises.readFile(byPath.get(REDIRECTS_FILE), "utf8"));
+  }
+
+  const warnings = [];
+  let absoluteLinks = 0;
+  for (const [sitePath, filePath] of byPath) {
+    const extension = path.posix.extname(sitePath).toLowerCase();
+    const pattern = [".html", ".htm"].includes(extension) ? HTML_LINK_PATTERN : extension === ".css" ? CSS_LINK_PATTERN : null;
+    if (!pattern || (await fs.promises.stat(filePath)).size > LINK_SCAN_MAX) continue;
+
+    const links = findAbsoluteLinks(await fs.promises.readFile(filePath, "utf8"), pattern);
+    absoluteLinks += links.length;
+    links.slice(0, MAX_WARNINGS - warnings.length).forEach(({ line, link }) => {
+      warnings.push({ file: sitePath, line, link, message: "Root-absolute link, breaks under /ipfs/<cid>/ (use a relative link or the subdomain URL)" });
+    });
+  }
+
+  return { root: prefix ? prefix.slice(0, -1) : null, paths, redirects, warnings, absoluteLinks };
+};
+
+/**
+ * Website block of an upload response
+ * @param {string} cid - Root CID of the added site
+ * @param {object} site - prepareWebsite result
+ * @returns {Promise<object>} - {root, index, urls: {path, subdomain}, redirects, warnings, absoluteLinks}
+ */
+const describeWebsite = async (cid, { root, redirects, warnings, absoluteLinks }) => ({
+  root,
+  index: INDEX_FILE,
+  urls: {
+    path: `${await getGatewayUrl(cid)}/`,
+    subdomain: getSubdomainUrl(cid),
+  },
+  redirects,
+  warnings,
+  absoluteLinks,
+});
+
+module.exports = {
+  prepareWebsite,
+  describeWebsite,
+};
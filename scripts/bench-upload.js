@@ -0,0 +1,129 @@
+// Upload benchmark - measures /upload throughput and peak temp-dir usage of a running server
+// Run it once against a server started with UPLOAD_STREAMING=true and once with UPLOAD_STREAMING=false:
+//   node scripts/bench-upload.js --url http://localhost:3232 --size 200MB --runs 3 --temp-dir /tmp/originless
+// The server must run on this machine for the temp-dir figure to mean anything, and FILE_LIMIT must allow --size
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { parseSize, formatBytes } = require("../modules/config");
+
+const readArgs = () => {
+  const args = { url: "http://localhost:3232", size: "100MB", runs: "3", "temp-dir": "/tmp/originless" };
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  }
+  return args;
+};
+
+// Total bytes of the files below dir (0 when it does not exist)
+const dirSize = (dir) => {
+  let total = 0;
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    try {
+      total += entry.isDirectory() ? dirSize(entryPath) : fs.statSync(entryPath).size;
+    } catch {
+      // Removed while walking
+    }
+  }
+  return total;
+};
+
+const createInputFile = (size) => {
+  const filePath = path.join(os.tmpdir(), `originless-bench-${process.pid}.bin`);
+  const block = crypto.randomBytes(1024 * 1024);
+  const fd = fs.openSync(filePath, "w");
+  for (let written = 0; written < size; written += block.length) {
+    fs.writeSync(fd, block, 0, Math.min(block.length, size - written));
+  }
+  fs.closeSync(fd);
+  return filePath;
+};
+
+// Send the file as multipart with a Content-Length, like a browser form post
+const uploadOnce = (url, filePath, size) => new Promise((resolve, reject) => {
+  const boundary = `----originless-bench-${crypto.randomBytes(8).toString("hex")}`;
+  const head = Buffer.from(
+    `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="bench.bin"\r\n`
+    + "Content-Type: application/octet-stream\r\n\r\n"
+  );
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  const target = new URL("/upload", url);
+  const client = target.protocol === "https:" ? https : http;
+  const req = client.request(target, {
+    method: "POST",
+    headers: {
+      "Content-Type": `multipart/form-data; boundary=${boundary}`,
+      "Content-Length": head.length + size + tail.length,
+    },
+  }, (res) => {
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(chunk));
+    res.on("end", () => {
+      const body = Buffer.concat(chunks).toString();
+      if (res.statusCode !== 200) {
+        reject(new Error(`HTTP ${res.statusCode}: ${body}`));
+        return;
+      }
+      resolve(JSON.parse(body));
+    });
+  });
+
+  req.on("error", reject);
+  req.write(head);
+  const file = fs.createReadStream(filePath);
+  file.on("error", reject);
+  file.on("end", () => req.end(tail));
+  file.pipe(req, { end: false });
+});
+
+const main = async () => {
+  const args = readArgs();
+  const size = parseSize(args.size);
+  const runs = Number(args.runs) || 1;
+  const tempDir = args["temp-dir"];
+
+  console.log(`[BENCH] START url=${args.url} size=${formatBytes(size)} runs=${runs} temp_dir=${tempDir}`);
+  const filePath = createInputFile(size);
+
+  try {
+    for (let run = 1; run <= runs; run++) {
+      const baseline = dirSize(tempDir);
+      let peak = 0;
+      const sampler = setInterval(() => {
+        peak = Math.max(peak, dirSize(tempDir) - baseline);
+      }, 20);
+
+      const started = process.hrtime.bigint();
+      try {
+        const result = await uploadOnce(args.url, filePath, size);
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        console.log(
+          `[BENCH] RUN run=${run} cid=${result.cid} seconds=${seconds.toFixed(2)}`
+          + ` throughput_mb_s=${(size / 1024 / 1024 / seconds).toFixed(1)} peak_temp=${formatBytes(peak)}`
+        );
+      } finally {
+        clearInterval(sampler);
+      }
+    }
+  } finally {
+    fs.unlinkSync(filePath);
+  }
+};
+
+main().catch((err) => {
+  console.error(`[BENCH] FAILED ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+// Fake ClamAV daemon for trying SCANNER=clamd without installing ClamAV
+// Speaks just enough of the INSTREAM protocol: files containing the EICAR test string are reported as infected
+//   node scripts/fake-clamd.js --socket /tmp/clamd.sock [--delay 5000]
+//   SCANNER=clamd SCAN_CLAMD_SOCKET=/tmp/clamd.sock npm start
+// --socket also takes tcp://host:port; --delay holds every answer back to try SCAN_TIMEOUT
+const fs = require("fs");
+const net = require("net");
+
+const EICAR = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+const readArgs = () => {
+  const args = { socket: "/tmp/clamd.sock", delay: "0" };
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  }
+  return args;
+};
+
+const args = readArgs();
+const delay = Number(args.delay) || 0;
+
+const server = net.createServer({ allowHalfOpen: true }, (socket) => {
+  let buffer = Buffer.alloc(0);
+  let command = null;
+  const chunks = [];
+
+  socket.on("data", (data) => {
+    buffer = Buffer.concat([buffer, data]);
+
+    if (command === null) {
+      const end = buffer.indexOf(0);
+      if (end === -1) return;
+      command = buffer.toString("latin1", 0, end);
+      buffer = buffer.subarray(end + 1);
+      if (command !== "zINSTREAM") {
+        socket.end(`UNKNOWN COMMAND ${command} ERROR\0`);
+        return;
+      }
+    }
+
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32BE(0);
+      if (length === 0) {
+        const found = Buffer.concat(chunks).includes(EICAR);
+        console.log(`[CLAMD] SCANNED bytes=${chunks.reduce((sum, chunk) => sum + chunk.length, 0)} found=${found}`);
+        setTimeout(() => socket.end(found ? "stream: Eicar-Test-Signature FOUND\0" : "stream: OK\0"), delay);
+        buffer = Buffer.alloc(0);
+        return;
+      }
+      if (buffer.length < 4 + length) return;
+      chunks.push(buffer.subarray(4, 4 + length));
+      buffer = buffer.subarray(4 + length);
+    }
+  });
+  socket.on("error", () => {});
+});
+
+const tcp = args.socket.match(/^tcp:\/\/(.+):(\d+)$/);
+if (tcp) {
+  server.listen(Number(tcp[2]), tcp[1]);
+} else {
+  fs.rmSync(args.socket, { force: true });
+  server.listen(args.socket);
+}
+server.on("listening", () => console.log(`[CLAMD] LISTENING socket=${args.socket} delay_ms=${delay}`));
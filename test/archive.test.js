@@ -0,0 +1,238 @@
+// Extraction guards of modules/archive.js, checked against crafted malicious archives
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const tar = require("tar-stream");
+const { detectArchiveFormat, extractArchive } = require("../modules/archive");
+
+const SIZE_LIMIT = 1024 * 1024;
+
+let workDir;
+let extractDir;
+
+beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "originless-archive-"));
+  extractDir = path.join(workDir, "out");
+  fs.mkdirSync(extractDir);
+});
+
+afterEach(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// entries: [{name, type?, content?, linkname?}] written in order, without any path cleanup
+const buildTar = async (entries) => {
+  const pack = tar.pack();
+  const chunks = [];
+  pack.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    pack.on("end", resolve);
+    pack.on("error", reject);
+  });
+
+  for (const { content = "", ...header } of entries) {
+    await new Promise((resolve, reject) => pack.entry(header, header.type && header.type !== "file" ? undefined : content, (err) => (err ? reject(err) : resolve())));
+  }
+  pack.finalize();
+  await done;
+  return Buffer.concat(chunks);
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Stored (uncompressed) zip; mode sets the Unix mode in the external attributes (0o120777 is a symlink)
+const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content = "", mode = 0o100644 } of entries) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(content);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x031e, 4); // Made by Unix, so the mode in the external attributes counts
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+};
+
+const writeArchive = (name, buffer) => {
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+};
+
+const extract = async (filePath, originalName) => extractArchive(filePath, extractDir, {
+  format: await detectArchiveFormat(filePath),
+  sizeLimit: SIZE_LIMIT,
+  originalName,
+});
+
+const rejectsWith = (promise, status, pattern) => assert.rejects(promise, (err) => {
+  assert.strictEqual(err.status, status, `expected status ${status}, got ${err.status} (${err.message})`);
+  if (pattern) assert.match(err.message, pattern);
+  return true;
+});
+
+// Nothing may be written next to the extraction directory
+const assertNothingEscaped = () => {
+  assert.deepStrictEqual(fs.readdirSync(workDir).filter((name) => name !== "out" && !name.startsWith("archive")), []);
+};
+
+test("extracts a well-formed tar, tar.gz and zip", async () => {
+  const entries = [{ name: "site/index.html", content: "<h1>hi</h1>" }, { name: "site/css/app.css", content: "body{}" }];
+
+  const tarBuffer = await buildTar(entries);
+  assert.deepStrictEqual(await extract(writeArchive("archive.tar", tarBuffer)), { bytes: 17, files: 2 });
+  assert.strictEqual(fs.readFileSync(path.join(extractDir, "site/index.html"), "utf8"), "<h1>hi</h1>");
+
+  fs.rmSync(extractDir, { recursive: true });
+  fs.mkdirSync(extractDir);
+  const gzPath = writeArchive("archive.tar.gz", zlib.gzipSync(tarBuffer));
+  assert.strictEqual(await detectArchiveFormat(gzPath), "tar.gz");
+  assert.deepStrictEqual(await extract(gzPath), { bytes: 17, files: 2 });
+
+  fs.rmSync(extractDir, { recursive: true });
+  fs.mkdirSync(extractDir);
+  const zipPath = writeArchive("archive.zip", buildZip(entries));
+  assert.strictEqual(await detectArchiveFormat(zipPath), "zip");
+  assert.deepStrictEqual(await extract(zipPath), { bytes: 17, files: 2 });
+});
+
+test("rejects ../ traversal in tar and zip entries", async () => {
+  const tarPath = writeArchive("archive.tar", await buildTar([{ name: "../escaped.txt", content: "x" }]));
+  await rejectsWith(extract(tarPath), 400, /Invalid archive entry path/);
+
+  const nestedPath = writeArchive("archive2.tar", await buildTar([{ name: "a/../../escaped.txt", content: "x" }]));
+  await rejectsWith(extract(nestedPath), 400, /Invalid archive entry path/);
+
+  const zipPath = writeArchive("archive.zip", buildZip([{ name: "../escaped.txt", content: "x" }]));
+  await rejectsWith(extract(zipPath), 400, /Invalid archive entry path/);
+
+  assertNothingEscaped();
+});
+
+test("keeps absolute entry paths inside the extraction directory", async () => {
+  const tarPath = writeArchive("archive.tar", await buildTar([{ name: "/etc/passwd-originless-test", content: "x" }]));
+  await extract(tarPath);
+  assert.ok(fs.existsSync(path.join(extractDir, "etc/passwd-originless-test")));
+  assert.ok(!fs.existsSync("/etc/passwd-originless-test"));
+
+  const zipPath = writeArchive("archive.zip", buildZip([{ name: "/abs/file.txt", content: "x" }]));
+  await extract(zipPath);
+  assert.ok(fs.existsSync(path.join(extractDir, "abs/file.txt")));
+});
+
+test("rejects symlinks", async () => {
+  const tarPath = writeArchive("archive.tar", await buildTar([{ name: "link", type: "symlink", linkname: "/etc/passwd" }]));
+  await rejectsWith(extract(tarPath), 400, /Links are not allowed/);
+
+  const zipPath = writeArchive("archive.zip", buildZip([{ name: "link", content: "/etc/passwd", mode: 0o120777 }]));
+  await rejectsWith(extract(zipPath), 400, /Symbolic links are not allowed/);
+
+  assert.deepStrictEqual(fs.readdirSync(extractDir), []);
+});
+
+test("rejects hardlinks", async () => {
+  const tarPath = writeArchive("archive.tar", await buildTar([
+    { name: "a.txt", content: "x" },
+    { name: "b.txt", type: "link", linkname: "a.txt" },
+  ]));
+  await rejectsWith(extract(tarPath), 400, /Links are not allowed/);
+});
+
+test("rejects device and fifo entries", async () => {
+  for (const type of ["character-device", "block-device", "fifo"]) {
+    const tarPath = writeArchive(`archive-${type}.tar`, await buildTar([{ name: "dev", type, devmajor: 1, devminor: 3 }]));
+    await rejectsWith(extract(tarPath), 400, /Unsupported archive entry type/);
+  }
+  assert.deepStrictEqual(fs.readdirSync(extractDir), []);
+});
+
+test("stops a gzip bomb at the size limit", async () => {
+  const zeros = Buffer.alloc(SIZE_LIMIT * 8);
+
+  const gzipPath = writeArchive("archive.gz", zlib.gzipSync(zeros));
+  assert.ok(fs.statSync(gzipPath).size < SIZE_LIMIT / 10);
+  await rejectsWith(extract(gzipPath, "bomb.bin.gz"), 413, /exceeds limit/);
+
+  const tarGzPath = writeArchive("archive.tar.gz", zlib.gzipSync(await buildTar([{ name: "zeros.bin", content: zeros }])));
+  await rejectsWith(extract(tarGzPath), 413, /exceeds limit/);
+});
+
+test("counts the size limit across entries", async () => {
+  const half = Buffer.alloc(SIZE_LIMIT / 2 + 1);
+  const tarPath = writeArchive("archive.tar", await buildTar([{ name: "a.bin", content: half }, { name: "b.bin", content: half }]));
+  await rejectsWith(extract(tarPath), 413, /exceeds limit/);
+
+  const zipPath = writeArchive("archive.zip", buildZip([{ name: "a.bin", content: half }, { name: "b.bin", content: half }]));
+  await rejectsWith(extract(zipPath), 413, /exceeds limit/);
+});
+
+test("rejects a file and a directory with the same name", async () => {
+  const fileThenChild = writeArchive("archive1.tar", await buildTar([{ name: "a", content: "x" }, { name: "a/b", content: "y" }]));
+  await rejectsWith(extract(fileThenChild), 400, /clashes/);
+
+  fs.rmSync(extractDir, { recursive: true });
+  fs.mkdirSync(extractDir);
+  const fileThenDir = writeArchive("archive2.tar", await buildTar([{ name: "a", content: "x" }, { name: "a", type: "directory" }]));
+  await rejectsWith(extract(fileThenDir), 400, /clashes/);
+
+  fs.rmSync(extractDir, { recursive: true });
+  fs.mkdirSync(extractDir);
+  const dirThenFile = writeArchive("archive3.tar", await buildTar([{ name: "a/b", content: "y" }, { name: "a", content: "x" }]));
+  await rejectsWith(extract(dirThenFile), 400, /clashes/);
+
+  fs.rmSync(extractDir, { recursive: true });
+  fs.mkdirSync(extractDir);
+  const zipClash = writeArchive("archive.zip", buildZip([{ name: "a", content: "x" }, { name: "a/b", content: "y" }]));
+  await rejectsWith(extract(zipClash), 400, /clashes/);
+});
+
+test("does not recognise arbitrary files as archives", async () => {
+  const filePath = writeArchive("archive.txt", Buffer.from("just some text, not an archive"));
+  assert.strictEqual(await detectArchiveFormat(filePath), null);
+});
@@ -0,0 +1,55 @@
+// Pin manifest signatures of modules/manifest.js, signed the way the admin panel and api.md do it
+const { test } = require("node:test");
+const assert = require("node:assert");
+const secp = require("@noble/secp256k1");
+const { buildManifest, verifyManifest } = require("../modules/manifest");
+
+const PINS = [{ cid: "QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o", name: "hello.txt", size: 12, status: "pinned", created_at: 1700000000000 }];
+
+// A private key whose public key has the given parity prefix ("02" even, "03" odd)
+const keyWithPrefix = (prefix) => {
+  for (;;) {
+    const privateKey = secp.utils.randomPrivateKey();
+    const publicKey = secp.etc.bytesToHex(secp.getPublicKey(privateKey, true));
+    if (publicKey.startsWith(prefix)) return { privateKey, publicKey };
+  }
+};
+
+const exportSigned = async (author, privateKey) => {
+  const { manifest, digest } = buildManifest(author, PINS);
+  const signature = await secp.signAsync(digest, privateKey);
+  return { manifest, signature: signature.toCompactHex() };
+};
+
+test("imports a manifest signed for a compressed key", async () => {
+  for (const prefix of ["02", "03"]) {
+    const { privateKey, publicKey } = keyWithPrefix(prefix);
+    const signed = await exportSigned(publicKey, privateKey);
+    assert.deepStrictEqual(verifyManifest(signed, publicKey).pins, signed.manifest.pins);
+  }
+});
+
+test("imports a manifest signed for an x-only key of either parity", async () => {
+  for (const prefix of ["02", "03"]) {
+    const { privateKey, publicKey } = keyWithPrefix(prefix);
+    const xOnly = publicKey.slice(2);
+    const signed = await exportSigned(xOnly, privateKey);
+    assert.deepStrictEqual(verifyManifest(signed, xOnly).pins, signed.manifest.pins);
+  }
+});
+
+test("rejects a signature by another key", async () => {
+  const owner = keyWithPrefix("02");
+  const other = keyWithPrefix("03");
+  for (const author of [owner.publicKey, owner.publicKey.slice(2)]) {
+    const signed = await exportSigned(author, other.privateKey);
+    assert.throws(() => verifyManifest(signed, author), /signature does not match/);
+  }
+});
+
+test("rejects a manifest changed after signing", async () => {
+  const { privateKey, publicKey } = keyWithPrefix("02");
+  const signed = await exportSigned(publicKey, privateKey);
+  signed.manifest.pins[0].name = "renamed.txt";
+  assert.throws(() => verifyManifest(signed, publicKey), /signature does not match/);
+});
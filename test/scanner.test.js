@@ -0,0 +1,167 @@
+// Upload scanning of modules/scanner.js against scripts/fake-clamd.js and a scan command with chosen exit codes
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const EICAR = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+const SCAN_ENV = ["SCANNER", "SCAN_CLAMD_SOCKET", "SCAN_COMMAND", "SCAN_TIMEOUT", "SCAN_FAIL_OPEN"];
+
+let workDir;
+let cleanFile;
+let eicarFile;
+const daemons = [];
+
+// Start a fake clamd and wait until it listens
+const startClamd = (socketPath, delay = 0) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(__dirname, "../scripts/fake-clamd.js"), "--socket", socketPath, "--delay", String(delay)], {
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  daemons.push(child);
+  child.on("error", reject);
+  child.on("exit", (code) => reject(new Error(`fake-clamd exited with code ${code}`)));
+  child.stdout.setEncoding("utf8");
+  child.stdout.on("data", (data) => {
+    if (data.includes("LISTENING")) resolve(socketPath);
+  });
+});
+
+// Scanner settings are read when the config is loaded, so each test loads its own copy
+const loadScanner = (env) => {
+  for (const name of SCAN_ENV) delete process.env[name];
+  Object.assign(process.env, env);
+  for (const modulePath of ["../modules/config", "../modules/scanner"]) {
+    delete require.cache[require.resolve(modulePath)];
+  }
+  return require("../modules/scanner");
+};
+
+const rejectsWith = (promise, status, code) => assert.rejects(promise, (err) => {
+  assert.strictEqual(err.status, status, `expected status ${status}, got ${err.status} (${err.message})`);
+  assert.strictEqual(err.code, code);
+  return true;
+});
+
+let clamdSocket;
+let slowClamdSocket;
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "originless-scan-"));
+  cleanFile = path.join(workDir, "clean.txt");
+  eicarFile = path.join(workDir, "eicar.txt");
+  fs.writeFileSync(cleanFile, "nothing to see here\n");
+  fs.writeFileSync(eicarFile, EICAR);
+
+  clamdSocket = await startClamd(path.join(workDir, "clamd.sock"));
+  slowClamdSocket = await startClamd(path.join(workDir, "slow-clamd.sock"), 3000);
+});
+
+after(() => {
+  for (const child of daemons) {
+    child.removeAllListeners("exit");
+    child.kill();
+  }
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("does nothing while scanning is off", async () => {
+  const { isScanning, scanFile, summarizeScans } = loadScanner({});
+  assert.strictEqual(isScanning(), false);
+  assert.strictEqual(await scanFile(eicarFile), null);
+  assert.strictEqual(summarizeScans([null]), null);
+});
+
+test("clamd passes a clean file", async () => {
+  const { scanFile } = loadScanner({ SCANNER: "clamd", SCAN_CLAMD_SOCKET: clamdSocket });
+  assert.deepStrictEqual(await scanFile(cleanFile, { name: "clean.txt" }), { scanner: "clamd", status: "clean" });
+});
+
+test("clamd rejects the EICAR test file with 422", async () => {
+  const { scanFile } = loadScanner({ SCANNER: "clamd", SCAN_CLAMD_SOCKET: clamdSocket });
+  await assert.rejects(scanFile(eicarFile, { entryPath: "site/eicar.txt" }), (err) => {
+    assert.strictEqual(err.status, 422);
+    assert.strictEqual(err.code, "SCAN_REJECTED");
+    assert.strictEqual(err.threat, "Eicar-Test-Signature");
+    assert.strictEqual(err.path, "site/eicar.txt");
+    return true;
+  });
+});
+
+test("a clamd timeout fails closed with 503", async () => {
+  const { scanFile } = loadScanner({ SCANNER: "clamd", SCAN_CLAMD_SOCKET: slowClamdSocket, SCAN_TIMEOUT: "1s" });
+  await rejectsWith(scanFile(cleanFile), 503, "SCAN_UNAVAILABLE");
+});
+
+test("an unreachable clamd fails closed with 503", async () => {
+  const { scanFile } = loadScanner({ SCANNER: "clamd", SCAN_CLAMD_SOCKET: path.join(workDir, "missing.sock") });
+  await rejectsWith(scanFile(cleanFile), 503, "SCAN_UNAVAILABLE");
+});
+
+test("SCAN_FAIL_OPEN accepts files that could not be scanned as unscanned", async () => {
+  const { scanFile, summarizeScans } = loadScanner({
+    SCANNER: "clamd",
+    SCAN_CLAMD_SOCKET: slowClamdSocket,
+    SCAN_TIMEOUT: "1s",
+    SCAN_FAIL_OPEN: "true",
+  });
+  const verdict = await scanFile(cleanFile);
+  assert.deepStrictEqual(verdict, { scanner: "clamd", status: "unscanned" });
+  assert.deepStrictEqual(summarizeScans([{ scanner: "clamd", status: "clean" }, verdict]), {
+    scanner: "clamd",
+    status: "unscanned",
+    files: 2,
+    unscanned: 1,
+  });
+});
+
+test("SCAN_FAIL_OPEN still rejects a detected threat", async () => {
+  const { scanFile } = loadScanner({ SCANNER: "clamd", SCAN_CLAMD_SOCKET: clamdSocket, SCAN_FAIL_OPEN: "true" });
+  await rejectsWith(scanFile(eicarFile), 422, "SCAN_REJECTED");
+});
+
+// The scan command exits with the code written in the file, like clamscan it names the threat on exit code 1
+const writeScanCommand = () => {
+  const script = path.join(workDir, "scan.js");
+  fs.writeFileSync(script, [
+    "const file = process.argv[2];",
+    "const code = Number(require(\"fs\").readFileSync(file, \"utf8\").trim());",
+    "if (code === 1) console.log(`${file}: Test.Signature FOUND`);",
+    "if (code === 2) console.error(\"ERROR: Can't open file\");",
+    "process.exit(code);",
+  ].join("\n"));
+  return `${process.execPath} ${script}`;
+};
+
+const writeExitFile = (code) => {
+  const filePath = path.join(workDir, `exit-${code}.txt`);
+  fs.writeFileSync(filePath, String(code));
+  return filePath;
+};
+
+test("command mode treats exit code 0 as clean", async () => {
+  const { scanFile } = loadScanner({ SCANNER: "command", SCAN_COMMAND: writeScanCommand() });
+  assert.deepStrictEqual(await scanFile(writeExitFile(0)), { scanner: "command", status: "clean" });
+});
+
+test("command mode treats exit code 1 as infected and reports the threat", async () => {
+  const { scanFile } = loadScanner({ SCANNER: "command", SCAN_COMMAND: writeScanCommand() });
+  await assert.rejects(scanFile(writeExitFile(1)), (err) => {
+    assert.strictEqual(err.status, 422);
+    assert.strictEqual(err.code, "SCAN_REJECTED");
+    assert.strictEqual(err.threat, "Test.Signature");
+    return true;
+  });
+});
+
+test("command mode treats exit code 2 as a failed scan", async () => {
+  const command = writeScanCommand();
+  const failFile = writeExitFile(2);
+
+  const { scanFile } = loadScanner({ SCANNER: "command", SCAN_COMMAND: command });
+  await rejectsWith(scanFile(failFile), 503, "SCAN_UNAVAILABLE");
+
+  const failOpen = loadScanner({ SCANNER: "command", SCAN_COMMAND: command, SCAN_FAIL_OPEN: "true" });
+  assert.deepStrictEqual(await failOpen.scanFile(failFile), { scanner: "command", status: "unscanned" });
+});
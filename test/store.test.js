@@ -0,0 +1,52 @@
+// Crash recovery of the append-only journals in modules/store.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+let dataDir;
+let openJournal;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "originless-store-"));
+  process.env.DATA_DIR = dataDir;
+  ({ openJournal } = require("../modules/store"));
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const journalPath = (name) => path.join(dataDir, `${name}.jsonl`);
+const readLines = (name) => fs.readFileSync(journalPath(name), "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+
+test("replays puts and deletes", () => {
+  const journal = openJournal("replay");
+  journal.put("a", { n: 1 });
+  journal.put("b", { n: 2 });
+  journal.del("a");
+
+  const reopened = openJournal("replay");
+  assert.deepStrictEqual([...reopened.map], [["b", { n: 2 }]]);
+});
+
+test("cuts off a torn final line so the next append starts on its own line", () => {
+  fs.writeFileSync(journalPath("torn"), `${JSON.stringify({ op: "put", key: "a", value: 1 })}\n{"op":"put","key":"b","va`);
+
+  const journal = openJournal("torn");
+  assert.deepStrictEqual([...journal.map], [["a", 1]]);
+  journal.put("c", 3);
+
+  assert.deepStrictEqual(readLines("torn"), [{ op: "put", key: "a", value: 1 }, { op: "put", key: "c", value: 3 }]);
+  assert.deepStrictEqual([...openJournal("torn").map], [["a", 1], ["c", 3]]);
+});
+
+test("keeps a complete final record that only lacks its newline", () => {
+  fs.writeFileSync(journalPath("unterminated"), JSON.stringify({ op: "put", key: "a", value: 1 }));
+
+  const journal = openJournal("unterminated");
+  journal.put("b", 2);
+
+  assert.deepStrictEqual([...openJournal("unterminated").map], [["a", 1], ["b", 2]]);
+});